@@ -0,0 +1,385 @@
+// Admin dashboard for the connector. It only uses the REST API, with the
+// token entered on the sign-in form kept in sessionStorage.
+'use strict';
+
+const TOKEN_KEY = 'mcp-admin-token';
+const REFRESH_INTERVAL_MS = 5000;
+
+let selectedClientId = null;
+
+const $ = (id) => document.getElementById(id);
+
+// Helper function to create an element, text is always set as textContent
+function el(tag, props = {}, children = []) {
+  const node = document.createElement(tag);
+  for (const [key, value] of Object.entries(props)) {
+    if (key === 'text') {
+      node.textContent = value;
+    } else if (key === 'className') {
+      node.className = value;
+    } else if (key.startsWith('on')) {
+      node.addEventListener(key.slice(2), value);
+    } else if (typeof value === 'boolean') {
+      node[key] = value;
+    } else if (value !== undefined) {
+      node.setAttribute(key, value);
+    }
+  }
+  node.append(...children);
+  return node;
+}
+
+// Helper function to call the REST API with the stored token
+async function api(method, path, body) {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      Authorization: `Bearer ${sessionStorage.getItem(TOKEN_KEY)}`,
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  if (response.status === 401) {
+    signOut();
+    throw new Error('Invalid token');
+  }
+
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    data = text;
+  }
+  if (!response.ok) {
+    const error = new Error(data && data.error ? data.error : `HTTP ${response.status}`);
+    error.data = data;
+    throw error;
+  }
+  return data;
+}
+
+// Helper function to show a JSON value or an error in a <pre>
+function showResult(node, value, isError) {
+  node.hidden = false;
+  node.classList.toggle('error', Boolean(isError));
+  node.textContent = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function setStatus(text) {
+  $('status').textContent = text;
+}
+
+function signOut() {
+  sessionStorage.removeItem(TOKEN_KEY);
+  selectedClientId = null;
+  $('app').hidden = true;
+  $('sign-out').hidden = true;
+  $('sign-in').hidden = false;
+}
+
+function signIn(token) {
+  sessionStorage.setItem(TOKEN_KEY, token);
+  $('sign-in').hidden = true;
+  $('app').hidden = false;
+  $('sign-out').hidden = false;
+  refreshClients();
+}
+
+// Clients
+
+async function refreshClients() {
+  let clients;
+  try {
+    clients = await api('GET', '/clients');
+  } catch (error) {
+    setStatus(error.message);
+    return;
+  }
+  setStatus(`${clients.length} client(s), updated ${new Date().toLocaleTimeString()}`);
+
+  const rows = clients.map((client) =>
+    el('tr', {}, [
+      el('td', {}, [
+        el('a', {
+          href: '#',
+          text: client.id,
+          onclick: (event) => {
+            event.preventDefault();
+            selectClient(client.id);
+          },
+        }),
+      ]),
+      el('td', {}, [el('span', { className: `state state-${client.state}`, text: client.state })]),
+      el('td', { text: client.transport || '-' }),
+      el('td', {
+        text: client.toolError ? client.toolError : String(client.tools.length),
+        className: client.toolError ? 'error' : '',
+      }),
+      el('td', { text: `${client.inFlightCalls} running, ${client.queuedCalls} queued` }),
+      el('td', { text: String(client.restartCount) }),
+      el('td', { className: 'actions' }, [
+        el('button', {
+          className: 'secondary',
+          text: 'Restart',
+          onclick: () => restartClient(client.id),
+        }),
+        el('button', {
+          className: 'danger',
+          text: 'Delete',
+          onclick: () => deleteClient(client.id),
+        }),
+      ]),
+    ])
+  );
+  $('clients').replaceChildren(...rows);
+
+  if (selectedClientId && !clients.some((client) => client.id === selectedClientId)) {
+    selectedClientId = null;
+    $('client').hidden = true;
+  }
+}
+
+async function restartClient(id) {
+  try {
+    await api('POST', `/restart/${encodeURIComponent(id)}`);
+  } catch (error) {
+    alert(`Failed to restart ${id}: ${error.message}`);
+  }
+  refreshClients();
+}
+
+async function deleteClient(id) {
+  if (!confirm(`Delete client ${id}?`)) {
+    return;
+  }
+  try {
+    await api('DELETE', `/clients/${encodeURIComponent(id)}`);
+  } catch (error) {
+    alert(`Failed to delete ${id}: ${error.message}`);
+  }
+  refreshClients();
+}
+
+// Tools of the selected client
+
+async function selectClient(id) {
+  selectedClientId = id;
+  $('client').hidden = false;
+  $('client-title').textContent = id;
+  $('client-error').hidden = true;
+  $('logs').hidden = true;
+  $('tools').replaceChildren(el('p', { text: 'Loading tools...' }));
+
+  try {
+    const tools = await api('GET', `/clients/${encodeURIComponent(id)}/tools`);
+    $('tools').replaceChildren(...tools.map((tool) => renderTool(id, tool)));
+    if (tools.length === 0) {
+      $('tools').replaceChildren(el('p', { text: 'No tools' }));
+    }
+  } catch (error) {
+    $('tools').replaceChildren();
+    showResult($('client-error'), error.data || error.message, true);
+  }
+}
+
+async function showLogs() {
+  if (!selectedClientId) {
+    return;
+  }
+  try {
+    const { lines } = await api('GET', `/clients/${encodeURIComponent(selectedClientId)}/logs?tail=100`);
+    showResult(
+      $('logs'),
+      lines.length > 0 ? lines.map(({ timestamp, line }) => `${timestamp} ${line}`).join('\n') : 'No logs'
+    );
+  } catch (error) {
+    showResult($('logs'), error.message, true);
+  }
+}
+
+// Build the input for one property of a tool's input schema. Types without
+// a matching form control are entered as JSON.
+function renderField(name, schema, required) {
+  const id = `field-${name}-${Math.random().toString(36).slice(2)}`;
+  let input;
+  let kind;
+  if (Array.isArray(schema.enum)) {
+    kind = 'enum';
+    input = el(
+      'select',
+      { id, name },
+      [
+        ...(required ? [] : [el('option', { value: '', text: '' })]),
+        ...schema.enum.map((value, index) => el('option', { value: String(index), text: String(value) })),
+      ]
+    );
+  } else if (schema.type === 'boolean') {
+    kind = 'boolean';
+    input = el('input', { id, name, type: 'checkbox', checked: schema.default === true });
+  } else if (schema.type === 'number' || schema.type === 'integer') {
+    kind = 'number';
+    input = el('input', {
+      id,
+      name,
+      type: 'number',
+      step: schema.type === 'integer' ? '1' : 'any',
+      min: schema.minimum,
+      max: schema.maximum,
+      value: schema.default,
+      required,
+    });
+  } else if (schema.type === 'string') {
+    kind = 'string';
+    input = el('input', { id, name, type: 'text', value: schema.default, required });
+  } else {
+    kind = 'json';
+    input = el('textarea', {
+      id,
+      name,
+      rows: '3',
+      spellcheck: 'false',
+      placeholder: 'JSON',
+      required,
+    });
+    if (schema.default !== undefined) {
+      input.value = JSON.stringify(schema.default);
+    }
+  }
+
+  const field = el('div', {}, [
+    el('label', { for: id, text: required ? `${name} *` : name }),
+    ...(schema.description ? [el('p', { className: 'description', text: schema.description })] : []),
+    input,
+  ]);
+
+  // Read the value back, undefined leaves the argument out
+  const read = () => {
+    if (kind === 'boolean') {
+      return input.checked;
+    }
+    if (input.value === '') {
+      return undefined;
+    }
+    if (kind === 'enum') {
+      return schema.enum[Number(input.value)];
+    }
+    if (kind === 'number') {
+      return Number(input.value);
+    }
+    if (kind === 'json') {
+      try {
+        return JSON.parse(input.value);
+      } catch (error) {
+        throw new Error(`${name} must be valid JSON: ${error.message}`);
+      }
+    }
+    return input.value;
+  };
+
+  return { field, read };
+}
+
+function renderTool(clientId, tool) {
+  const schema = tool.inputSchema || {};
+  const required = new Set(schema.required || []);
+  const fields = Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    ...renderField(name, property || {}, required.has(name)),
+  }));
+  const result = el('pre', { hidden: true });
+
+  const form = el(
+    'form',
+    {
+      onsubmit: async (event) => {
+        event.preventDefault();
+        const args = {};
+        try {
+          for (const { name, read } of fields) {
+            const value = read();
+            if (value !== undefined) {
+              args[name] = value;
+            }
+          }
+        } catch (error) {
+          showResult(result, error.message, true);
+          return;
+        }
+
+        showResult(result, 'Calling...');
+        try {
+          const response = await api('POST', `/clients/${encodeURIComponent(clientId)}/call_tools`, {
+            name: tool.name,
+            arguments: args,
+          });
+          showResult(result, response, response.isError);
+        } catch (error) {
+          showResult(result, error.data || error.message, true);
+        }
+      },
+    },
+    [...fields.map(({ field }) => field), el('p', {}, [el('button', { type: 'submit', text: 'Call' })])]
+  );
+
+  return el('div', { className: 'tool' }, [
+    el('h3', { text: tool.name }),
+    ...(tool.description ? [el('p', { className: 'description', text: tool.description })] : []),
+    el('details', {}, [
+      el('summary', { text: 'Input schema' }),
+      el('pre', { text: JSON.stringify(schema, null, 2) }),
+    ]),
+    form,
+    result,
+  ]);
+}
+
+// Start servers from a pasted config
+
+async function startServers(event) {
+  event.preventDefault();
+  const output = $('start-result');
+
+  let config;
+  try {
+    config = JSON.parse($('start-config').value);
+  } catch (error) {
+    showResult(output, `Invalid JSON: ${error.message}`, true);
+    return;
+  }
+  if (!config || typeof config.mcpServers !== 'object' || config.mcpServers === null) {
+    showResult(output, 'The config must have an "mcpServers" object', true);
+    return;
+  }
+
+  showResult(output, 'Starting...');
+  try {
+    showResult(output, await api('POST', '/start', { mcpServers: config.mcpServers }));
+  } catch (error) {
+    showResult(output, error.data || error.message, true);
+  }
+  refreshClients();
+}
+
+$('sign-in-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  signIn($('token').value);
+  $('token').value = '';
+});
+$('sign-out').addEventListener('click', signOut);
+$('refresh').addEventListener('click', refreshClients);
+$('show-logs').addEventListener('click', showLogs);
+$('start-form').addEventListener('submit', startServers);
+
+if (sessionStorage.getItem(TOKEN_KEY)) {
+  signIn(sessionStorage.getItem(TOKEN_KEY));
+} else {
+  signOut();
+}
+
+setInterval(() => {
+  if (sessionStorage.getItem(TOKEN_KEY) && !document.hidden) {
+    refreshClients();
+  }
+}, REFRESH_INTERVAL_MS);
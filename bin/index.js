@@ -1,44 +1,154 @@
 #!/usr/bin/env node
 
-const server = require('../lib/server');
 const chalk = require('chalk');
+const { COMMANDS, runCommand } = require('../lib/cli');
 
-// Get auth token from command line arguments or environment variable
-const authToken = process.argv[2] || process.env.MCP_AUTH_TOKEN;
+const USAGE = `Usage: npx @typingmind/mcp [serve] <auth-token> [options]
+       OR set MCP_AUTH_TOKEN environment variable
+       npx @typingmind/mcp <command> [arguments] [options]
 
-if (!authToken) {
-  console.error(chalk.red('Error: Authentication token is required'));
-  console.log('Usage: npx @typingmind/mcp <auth-token>');
-  console.log('       OR set MCP_AUTH_TOKEN environment variable');
-  process.exit(1);
+Server options:
+  --config <file>     Start the MCP servers from a Claude-Desktop-style JSON file
+  --state-dir <dir>   Save started MCP servers and restore them on restart
+                      (or set MCP_STATE_DIR environment variable)
+  --tokens <file>     Accept named, scoped tokens from a JSON file
+                      (or set MCP_TOKENS_FILE environment variable)
+  --policy <file>     Restrict the commands MCP servers may run
+                      (or set MCP_POLICY_FILE environment variable)
+  --audit-log <file>  Record tool calls and client changes in a JSONL file
+                      (or set MCP_AUDIT_LOG environment variable)
+  --files-dir <dir>   Store uploaded files and files served by /files here
+                      (or set MCP_FILES_DIR environment variable)
+  --secrets-file <file>
+                      Encrypted file of secrets used as \${secret:NAME} in configs
+                      (or set MCP_SECRETS_FILE environment variable)
+
+Commands for a running connector:
+  list                      List MCP clients and their state
+  tools <id>                List the tools of a client
+  call <id> <tool>          Call a tool, with --args '{"key": "value"}'
+  restart <id>              Restart a client
+  logs <id>                 Print the stderr output of a client, --tail <n> for the last lines
+  secrets list              List the names of stored secrets
+  secrets set <name> [value]
+                            Store a secret, read from stdin when no value is given
+  secrets delete <name>     Delete a secret
+  run <id> <tool>           Start a server from --config <file> in this process,
+                            call a tool once with --args and exit. Uses --policy,
+                            --secrets-file, --state-dir and --files-dir like the server
+
+Command options:
+  --url <url>         Connector URL (or set MCP_URL, default http://localhost:50880)
+  --token <token>     Auth token (or set MCP_AUTH_TOKEN environment variable)
+  --args <json>       Tool arguments for call and run
+  --tail <n>          Number of log lines for logs
+  --json              Print raw JSON`;
+
+// Flags that take a value, mapped to options
+const FLAGS = {
+  '--config': 'configFile',
+  '--state-dir': 'stateDir',
+  '--tokens': 'tokensFile',
+  '--policy': 'policyFile',
+  '--audit-log': 'auditFile',
+  '--files-dir': 'filesDir',
+  '--secrets-file': 'secretsFile',
+  '--url': 'url',
+  '--token': 'token',
+  '--args': 'args',
+  '--tail': 'tail',
+};
+
+// Flags without a value
+const BOOLEAN_FLAGS = {
+  '--json': 'json',
+};
+
+// Parse command line arguments
+const options = {};
+const positional = [];
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+  const arg = argv[i];
+  if (FLAGS[arg]) {
+    if (argv[i + 1] === undefined) {
+      console.error(chalk.red(`Error: ${arg} requires a value`));
+      console.log(USAGE);
+      process.exit(1);
+    }
+    options[FLAGS[arg]] = argv[++i];
+  } else if (BOOLEAN_FLAGS[arg]) {
+    options[BOOLEAN_FLAGS[arg]] = true;
+  } else if (arg === '--help' || arg === '-h') {
+    console.log(USAGE);
+    process.exit(0);
+  } else if (arg.startsWith('--')) {
+    console.error(chalk.red(`Error: Unknown option ${arg}`));
+    console.log(USAGE);
+    process.exit(1);
+  } else {
+    positional.push(arg);
+  }
 }
 
-// Start the server with the provided auth token
-server
-  .start(authToken)
-  .then(({ host, port, protocol }) => {
-    console.log(
-      chalk.green(`✓ MCP runner server running on ${protocol}://${host}:${port}`),
-    );
-    
-    // Add information about the external URL if available (for cloud platforms like Render)
-    if (process.env.RENDER_EXTERNAL_URL) {
+/**
+ * Start the connector
+ */
+function serve() {
+  // `serve` is the default command
+  if (positional[0] === 'serve') {
+    positional.shift();
+  }
+
+  // Get auth token from command line arguments or environment variable
+  const authToken = positional[0] || options.token || process.env.MCP_AUTH_TOKEN;
+
+  if (!authToken && !options.tokensFile && !process.env.MCP_TOKENS_FILE) {
+    console.error(chalk.red('Error: Authentication token is required'));
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  // Loaded here so management commands don't set up the server
+  const server = require('../lib/server');
+
+  // Start the server with the provided auth token
+  server
+    .start(authToken, options)
+    .then(({ host, port, protocol }) => {
       console.log(
-        chalk.green(`✓ External URL: ${process.env.RENDER_EXTERNAL_URL}`),
+        chalk.green(`✓ MCP runner server running on ${protocol}://${host}:${port}`),
       );
-    } else {
+
+      // Add information about the external URL if available (for cloud platforms like Render)
+      if (process.env.RENDER_EXTERNAL_URL) {
+        console.log(
+          chalk.green(`✓ External URL: ${process.env.RENDER_EXTERNAL_URL}`),
+        );
+      } else {
+        console.log(
+          chalk.green(`✓ External URL: ${protocol}://localhost:${port} (for local access)`),
+        );
+      }
+
       console.log(
-        chalk.green(`✓ External URL: ${protocol}://localhost:${port} (for local access)`),
+        chalk.yellow(
+          'Note: You must keep the server running in the background in order to use MCP in TypingMind.',
+        ),
       );
-    }
-    
-    console.log(
-      chalk.yellow(
-        'Note: You must keep the server running in the background in order to use MCP in TypingMind.',
-      ),
-    );
-  })
-  .catch((err) => {
-    console.error(chalk.red(`Error starting MCP server: ${err.message}`));
+    })
+    .catch((err) => {
+      console.error(chalk.red(`Error starting MCP server: ${err.message}`));
+      process.exit(1);
+    });
+}
+
+// Management commands talk to a running connector and exit
+if (COMMANDS.includes(positional[0])) {
+  runCommand(positional[0], positional.slice(1), options).catch((err) => {
+    console.error(chalk.red(`Error: ${err.message}`));
     process.exit(1);
   });
+} else {
+  serve();
+}
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { canAccessClient } = require('./auth');
+const { logger, redact } = require('./logger');
+
+// Rotate the audit log when it grows past this size, keeping this many old files
+const DEFAULT_MAX_BYTES = parseInt(
+  process.env.MCP_AUDIT_LOG_MAX_BYTES || String(10 * 1024 * 1024),
+  10
+);
+const DEFAULT_MAX_FILES = parseInt(process.env.MCP_AUDIT_LOG_MAX_FILES || '5', 10);
+
+// Entries returned by a query when no limit is given, and the most allowed
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 10000;
+
+/**
+ * Parse a time query parameter given as an ISO date or epoch milliseconds
+ * @param {string} [value] The parameter
+ * @param {string} name Parameter name, used in errors
+ * @returns {number|undefined} Epoch milliseconds
+ */
+function parseTime(value, name) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${name} must be an ISO date or a timestamp in milliseconds`);
+  }
+  return time;
+}
+
+/**
+ * Create an append-only JSONL audit log that rotates by size
+ * @param {string} file Path to the audit log
+ * @param {object} [options]
+ * @param {number} [options.maxBytes] Size at which the log is rotated
+ * @param {number} [options.maxFiles] Number of rotated files to keep
+ * @returns {{record: Function, query: Function}}
+ */
+function createAuditLog(
+  file,
+  { maxBytes = DEFAULT_MAX_BYTES, maxFiles = DEFAULT_MAX_FILES } = {}
+) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  // audit.jsonl -> audit.jsonl.1 -> audit.jsonl.2 ..., the oldest is dropped
+  const rotate = () => {
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${file}.${index}`)) {
+        fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+      }
+    }
+    if (maxFiles > 0) {
+      fs.renameSync(file, `${file}.1`);
+    } else {
+      fs.unlinkSync(file);
+    }
+    size = 0;
+  };
+
+  return {
+    /**
+     * Append an entry. Arguments and configs are redacted, failures are
+     * logged rather than thrown so auditing never breaks a request.
+     * @param {object} entry The entry, without the time
+     */
+    record(entry) {
+      const line = `${JSON.stringify({
+        time: new Date().toISOString(),
+        ...entry,
+        arguments: redact(entry.arguments),
+        config: redact(entry.config),
+      })}\n`;
+      try {
+        if (size > 0 && size + Buffer.byteLength(line) > maxBytes) {
+          rotate();
+        }
+        fs.appendFileSync(file, line, { mode: 0o600 });
+        size += Buffer.byteLength(line);
+      } catch (error) {
+        logger.error('Failed to write audit log', { file, error });
+      }
+    },
+
+    /**
+     * Read entries, newest last
+     * @param {object} [filter]
+     * @param {string[]} [filter.clientIds] Only entries for these clients
+     * @param {number} [filter.from] Only entries at or after this time (epoch ms)
+     * @param {number} [filter.to] Only entries at or before this time (epoch ms)
+     * @param {number} [filter.limit] Return at most this many of the newest entries
+     * @returns {object[]} Matching entries
+     */
+    query({ clientIds, from, to, limit = DEFAULT_QUERY_LIMIT } = {}) {
+      const files = [];
+      for (let index = maxFiles; index >= 1; index--) {
+        files.push(`${file}.${index}`);
+      }
+      files.push(file);
+
+      const entries = [];
+      for (const candidate of files) {
+        if (!fs.existsSync(candidate)) {
+          continue;
+        }
+        for (const line of fs.readFileSync(candidate, 'utf8').split('\n')) {
+          if (!line) {
+            continue;
+          }
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch (error) {
+            // A crash can leave a partial last line, skip it
+            continue;
+          }
+          const time = Date.parse(entry.time);
+          if (
+            (clientIds && !clientIds.includes(entry.clientId)) ||
+            (from !== undefined && time < from) ||
+            (to !== undefined && time > to)
+          ) {
+            continue;
+          }
+          entries.push(entry);
+        }
+      }
+      return entries.slice(-Math.min(limit, MAX_QUERY_LIMIT));
+    },
+  };
+}
+
+/**
+ * Create the Express handler for GET /audit
+ * @param {object|null} auditLog The audit log, or null when auditing is disabled
+ * @returns {Function} Express handler
+ */
+function auditHandler(auditLog) {
+  return (req, res) => {
+    if (!auditLog) {
+      return res.status(404).json({ error: 'Audit log is not enabled' });
+    }
+
+    let filter;
+    try {
+      const limit = req.query.limit !== undefined
+        ? parseInt(req.query.limit, 10)
+        : DEFAULT_QUERY_LIMIT;
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw new Error('limit must be a positive integer');
+      }
+      filter = {
+        from: parseTime(req.query.from, 'from'),
+        to: parseTime(req.query.to, 'to'),
+        limit,
+      };
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (req.query.clientId) {
+      const clientIds = String(req.query.clientId).split(',');
+      if (clientIds.some((clientId) => !canAccessClient(req.authToken, clientId))) {
+        return res.status(403).json({ error: 'Token is not allowed to access these clients' });
+      }
+      filter.clientIds = clientIds;
+    } else if (req.authToken.clients) {
+      filter.clientIds = req.authToken.clients;
+    }
+
+    try {
+      return res.status(200).json({ entries: auditLog.query(filter) });
+    } catch (error) {
+      req.log.error('Error reading audit log', { error });
+      return res.status(500).json({
+        error: 'Failed to read audit log',
+        details: error.message,
+      });
+    }
+  };
+}
+
+module.exports = {
+  createAuditLog,
+  auditHandler,
+};
@@ -1,9 +1,132 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+// Scopes in increasing order of privilege, each one includes the previous ones
+const SCOPES = ['read', 'call', 'admin'];
+
+// How often the tokens file is checked for changes
+const TOKENS_FILE_POLL_INTERVAL_MS = 2000;
+
+/**
+ * Hash a token so tokens of any length can be compared in constant time
+ * @param {string} token The token
+ * @returns {Buffer} SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Parse and validate the contents of a tokens file
+ * @param {string} file Path to the tokens file
+ * @returns {Array<{name: string, hash: Buffer, scopes: string[], clients: string[]|null}>}
+ */
+function readTokensFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || !Array.isArray(data.tokens)) {
+    throw new Error(`Tokens file ${file} must contain a "tokens" array`);
+  }
+
+  return data.tokens.map((entry, index) => {
+    const { name, token, scopes, clients } = entry || {};
+    if (!name || typeof token !== 'string' || token.length === 0) {
+      throw new Error(`Token #${index + 1} in ${file} needs a name and a token`);
+    }
+    if (!Array.isArray(scopes) || scopes.some((scope) => !SCOPES.includes(scope))) {
+      throw new Error(
+        `Token ${name} in ${file} must have scopes from: ${SCOPES.join(', ')}`,
+      );
+    }
+    if (clients !== undefined && !Array.isArray(clients)) {
+      throw new Error(`Token ${name} in ${file} has an invalid clients list`);
+    }
+
+    return {
+      name,
+      hash: hashToken(token),
+      scopes,
+      clients: clients || null,
+    };
+  });
+}
+
+/**
+ * Create the set of accepted tokens
+ * @param {string} [authToken] Token from the command line, gets every scope
+ * @param {string} [tokensFile] JSON file with named, scoped tokens; reloaded when it changes
+ * @returns {{find: Function}} Token store
+ */
+function createTokenStore(authToken, tokensFile) {
+  const defaultTokens = authToken
+    ? [{ name: 'default', hash: hashToken(authToken), scopes: ['admin'], clients: null }]
+    : [];
+  let fileTokens = [];
+
+  if (tokensFile) {
+    // Fail early on startup, later reload errors keep the previous tokens
+    fileTokens = readTokensFile(tokensFile);
+    logger.info('Loaded tokens', { count: fileTokens.length, file: tokensFile });
+
+    fs.watchFile(tokensFile, { interval: TOKENS_FILE_POLL_INTERVAL_MS }, () => {
+      try {
+        fileTokens = readTokensFile(tokensFile);
+        logger.info('Reloaded tokens', { count: fileTokens.length, file: tokensFile });
+      } catch (error) {
+        logger.error('Failed to reload tokens, keeping the previous ones', { error });
+      }
+    });
+  }
+
+  return {
+    /**
+     * Find the token entry matching a presented token
+     * @param {string} token The presented token
+     * @returns {object|null} The token entry or null
+     */
+    find(token) {
+      const hash = hashToken(token);
+      let match = null;
+
+      // Compare against every token so timing doesn't reveal which one matched
+      for (const entry of [...defaultTokens, ...fileTokens]) {
+        if (crypto.timingSafeEqual(hash, entry.hash) && !match) {
+          match = entry;
+        }
+      }
+      return match;
+    },
+  };
+}
+
+/**
+ * Check whether a token grants a scope
+ * @param {object} tokenEntry Token entry from the store
+ * @param {string} scope Required scope
+ * @returns {boolean}
+ */
+function hasScope(tokenEntry, scope) {
+  const required = SCOPES.indexOf(scope);
+  return tokenEntry.scopes.some((granted) => SCOPES.indexOf(granted) >= required);
+}
+
+/**
+ * Check whether a token may access a client
+ * @param {object} tokenEntry Token entry from the store
+ * @param {string} clientId The client ID
+ * @returns {boolean}
+ */
+function canAccessClient(tokenEntry, clientId) {
+  return !tokenEntry.clients || tokenEntry.clients.includes(clientId);
+}
+
 /**
  * Middleware to verify authentication token
- * @param {string} authToken The token to check against
+ * @param {object} tokenStore The tokens to check against
+ * @param {string} scope Scope required by the route
  * @returns {Function} Express middleware function
  */
-function authMiddleware(authToken) {
+function authMiddleware(tokenStore, scope) {
   return (req, res, next) => {
     const authHeader = req.headers.authorization;
 
@@ -21,14 +144,33 @@ function authMiddleware(authToken) {
         .json({ error: 'Authorization type must be Bearer' });
     }
 
-    if (token !== authToken) {
+    const tokenEntry = token ? tokenStore.find(token) : null;
+    if (!tokenEntry) {
       return res.status(401).json({ error: 'Invalid authentication token' });
     }
 
+    if (!hasScope(tokenEntry, scope)) {
+      return res
+        .status(403)
+        .json({ error: `Token does not have the ${scope} scope` });
+    }
+
+    // Routes for a single client check the token's client restriction here,
+    // list routes filter with canAccessClient themselves
+    const clientId = req.params.id;
+    if (clientId !== undefined && !canAccessClient(tokenEntry, clientId)) {
+      return res
+        .status(403)
+        .json({ error: `Token is not allowed to access client ${clientId}` });
+    }
+
+    req.authToken = tokenEntry;
     next();
   };
 }
 
 module.exports = {
+  createTokenStore,
   authMiddleware,
+  canAccessClient,
 };
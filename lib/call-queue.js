@@ -0,0 +1,90 @@
+/**
+ * Limits how many calls run at once against a client, queueing the rest
+ */
+class CallQueue {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxConcurrency=Infinity] Calls allowed to run at once
+   * @param {number} [options.maxQueue=Infinity] Calls allowed to wait for a slot
+   */
+  constructor({ maxConcurrency = Infinity, maxQueue = Infinity } = {}) {
+    this.maxConcurrency = maxConcurrency;
+    this.maxQueue = maxQueue;
+    this.inFlight = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Number of calls waiting for a slot
+   * @returns {number}
+   */
+  get queued() {
+    return this.waiting.length;
+  }
+
+  /**
+   * Check whether a new call would be rejected
+   * @returns {boolean}
+   */
+  isFull() {
+    return this.inFlight >= this.maxConcurrency && this.waiting.length >= this.maxQueue;
+  }
+
+  /**
+   * Run a task once a slot is free. Check isFull() first, a full queue throws.
+   * @param {Function} task Returns a Promise
+   * @param {AbortSignal} [signal] Aborting removes the task from the queue
+   * @returns {Promise<*>} The task's result
+   */
+  async run(task, signal) {
+    if (this.isFull()) {
+      throw new Error('Call queue is full');
+    }
+
+    if (this.inFlight < this.maxConcurrency) {
+      this.inFlight += 1;
+    } else {
+      // next() hands its slot over, so inFlight already counts this task
+      await new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(signal.reason);
+          return;
+        }
+        const waiter = { resolve, signal };
+        waiter.onAbort = () => {
+          this.waiting.splice(this.waiting.indexOf(waiter), 1);
+          reject(signal.reason);
+        };
+        if (signal) {
+          signal.addEventListener('abort', waiter.onAbort, { once: true });
+        }
+        this.waiting.push(waiter);
+      });
+    }
+
+    try {
+      return await task();
+    } finally {
+      this.next();
+    }
+  }
+
+  /**
+   * Hand the slot of a finished task to the next queued one, or free it
+   */
+  next() {
+    const waiter = this.waiting.shift();
+    if (!waiter) {
+      this.inFlight -= 1;
+      return;
+    }
+    if (waiter.signal) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort);
+    }
+    waiter.resolve();
+  }
+}
+
+module.exports = {
+  CallQueue,
+};
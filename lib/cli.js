@@ -0,0 +1,315 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { version } = require('../package.json');
+const { DEFAULT_FILES_DIR } = require('./files');
+const { loadPolicy, checkPolicyWithSecrets, getWorkingDirectory } = require('./policy');
+const { getSecretsFile, createSecretStore, resolveSecrets } = require('./secrets');
+const { readMcpServersFile } = require('./state');
+const { getTransportCandidates, createTransport } = require('./transports');
+
+// Same defaults as the connector, long enough for a cold `npx -y` install
+const DEFAULT_CONNECT_TIMEOUT_MS = parseInt(process.env.MCP_CONNECT_TIMEOUT_MS || '300000', 10);
+const DEFAULT_TOOL_TIMEOUT_MS = parseInt(process.env.MCP_TOOL_TIMEOUT_MS || '300000', 10);
+
+/**
+ * Call the REST API of a running connector
+ * @param {object} options
+ * @param {string} options.url Base URL of the connector
+ * @param {string} options.token Auth token
+ * @param {string} method HTTP method
+ * @param {string} path Request path
+ * @param {object} [body] JSON body
+ * @returns {Promise<*>} The parsed response
+ */
+async function request({ url, token }, method, path, body) {
+  let response;
+  try {
+    response = await fetch(new URL(path, url), {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch (error) {
+    throw new Error(`Cannot reach the connector at ${url}: ${error.cause ? error.cause.message : error.message}`);
+  }
+
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    data = text;
+  }
+  if (!response.ok) {
+    const message = data && data.error ? data.error : text;
+    const details = data && data.details ? `: ${[].concat(data.details).join(', ')}` : '';
+    throw new Error(`${response.status} ${message}${details}`);
+  }
+  return data;
+}
+
+/**
+ * Parse the JSON given to --args
+ * @param {string} [value] The JSON
+ * @returns {object} Tool arguments
+ */
+function parseArgs(value) {
+  if (value === undefined) {
+    return {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`--args must be valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Print a tool result, text content as is and everything else as JSON
+ * @param {object} result Result of tools/call
+ * @param {boolean} json Print the whole result as JSON
+ */
+function printToolResult(result, json) {
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  for (const item of result.content || []) {
+    console.log(item.type === 'text' ? item.text : JSON.stringify(item, null, 2));
+  }
+  if (result.structuredContent) {
+    console.log(JSON.stringify(result.structuredContent, null, 2));
+  }
+}
+
+/**
+ * Read all of standard input, used for secret values so they don't end up in
+ * the shell history
+ * @returns {Promise<string>} The input without the trailing newline
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    process.stderr.write('Enter the value and press Ctrl-D: ');
+  }
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input.replace(/\r?\n$/, '');
+}
+
+/**
+ * Require a number of positional arguments
+ * @param {string[]} positional Positional arguments after the command
+ * @param {string[]} names Names of the required arguments, used in the error
+ */
+function requirePositional(positional, names) {
+  if (positional.length < names.length) {
+    throw new Error(`Missing ${names.slice(positional.length).map((name) => `<${name}>`).join(' ')}`);
+  }
+}
+
+// Subcommands by name, all but run talk to a running connector
+const COMMANDS = {
+  async list(positional, options) {
+    const clients = await request(options, 'GET', '/clients');
+    if (options.json) {
+      console.log(JSON.stringify(clients, null, 2));
+      return;
+    }
+    if (clients.length === 0) {
+      console.log('No MCP clients');
+      return;
+    }
+    for (const client of clients) {
+      const state = client.state === 'running' ? chalk.green(client.state) : chalk.yellow(client.state);
+      const tools = client.toolError ? chalk.red(client.toolError) : `${client.tools.length} tool(s)`;
+      console.log(`${chalk.bold(client.id)}  ${state}  ${client.transport || '-'}  ${tools}`);
+    }
+  },
+
+  async tools(positional, options) {
+    requirePositional(positional, ['id']);
+    const [id] = positional;
+    const tools = await request(options, 'GET', `/clients/${encodeURIComponent(id)}/tools`);
+    if (options.json) {
+      console.log(JSON.stringify(tools, null, 2));
+      return;
+    }
+    for (const tool of tools) {
+      console.log(`${chalk.bold(tool.name)}${tool.description ? `  ${tool.description}` : ''}`);
+    }
+  },
+
+  async call(positional, options) {
+    requirePositional(positional, ['id', 'tool']);
+    const [id, name] = positional;
+    const result = await request(options, 'POST', `/clients/${encodeURIComponent(id)}/call_tools`, {
+      name,
+      arguments: parseArgs(options.args),
+    });
+    printToolResult(result, options.json);
+    if (result.isError) {
+      process.exitCode = 1;
+    }
+  },
+
+  async restart(positional, options) {
+    requirePositional(positional, ['id']);
+    const [id] = positional;
+    const result = await request(options, 'POST', `/restart/${encodeURIComponent(id)}`);
+    console.log(chalk.green(`✓ ${result.message}`));
+  },
+
+  async logs(positional, options) {
+    requirePositional(positional, ['id']);
+    const [id] = positional;
+    const query = options.tail ? `?tail=${encodeURIComponent(options.tail)}` : '';
+    const { lines } = await request(options, 'GET', `/clients/${encodeURIComponent(id)}/logs${query}`);
+    for (const { timestamp, line } of lines) {
+      console.log(`${chalk.gray(timestamp)} ${line}`);
+    }
+  },
+
+  async secrets(positional, options) {
+    requirePositional(positional, ['list|set|delete']);
+    const [action, name, value] = positional;
+
+    if (action === 'list') {
+      const secrets = await request(options, 'GET', '/secrets');
+      if (options.json) {
+        console.log(JSON.stringify(secrets, null, 2));
+      } else if (secrets.length === 0) {
+        console.log('No secrets');
+      } else {
+        for (const secret of secrets) {
+          console.log(`${chalk.bold(secret.name)}  ${chalk.gray(`updated ${secret.updatedAt}`)}`);
+        }
+      }
+      return;
+    }
+
+    if (action === 'set') {
+      requirePositional(positional.slice(1), ['name']);
+      const result = await request(options, 'PUT', `/secrets/${encodeURIComponent(name)}`, {
+        value: value === undefined ? await readStdin() : value,
+      });
+      console.log(chalk.green(`✓ ${result.message}`));
+      return;
+    }
+
+    if (action === 'delete') {
+      requirePositional(positional.slice(1), ['name']);
+      const result = await request(options, 'DELETE', `/secrets/${encodeURIComponent(name)}`);
+      console.log(chalk.green(`✓ ${result.message}`));
+      return;
+    }
+
+    throw new Error(`Unknown secrets command ${action}, use list, set or delete`);
+  },
+
+  // Start one server from a config file in this process, call a tool and exit.
+  // The server is started the way the connector starts it: checked against
+  // the policy, with secrets filled in and MCP_FILES_DIR set.
+  async run(positional, options) {
+    requirePositional(positional, ['id', 'tool']);
+    if (!options.configFile) {
+      throw new Error('run requires --config <file>');
+    }
+    const [id, name] = positional;
+    const mcpServers = readMcpServersFile(options.configFile);
+    const config = mcpServers[id];
+    if (!config) {
+      throw new Error(`Server ${id} not found in ${options.configFile}`);
+    }
+
+    const secretStore = createSecretStore(
+      getSecretsFile({
+        secretsFile: options.secretsFile,
+        stateDir: options.stateDir || process.env.MCP_STATE_DIR,
+      })
+    );
+    const resolve = (value) => resolveSecrets(value, secretStore);
+
+    const policyFile = options.policyFile || process.env.MCP_POLICY_FILE;
+    const policy = policyFile ? loadPolicy(policyFile) : null;
+    const violations = checkPolicyWithSecrets(policy, config, resolve);
+    if (violations.length > 0) {
+      throw new Error(`Not allowed by policy: ${violations.join('; ')}`);
+    }
+    const resolvedConfig = resolve(config);
+    const filesDir = options.filesDir || process.env.MCP_FILES_DIR || DEFAULT_FILES_DIR;
+    fs.mkdirSync(filesDir, { recursive: true, mode: 0o700 });
+    const transportConfig = {
+      ...resolvedConfig,
+      cwd: getWorkingDirectory(policy, config),
+      env: { MCP_FILES_DIR: filesDir, ...resolvedConfig.env },
+    };
+
+    let client;
+    let lastError;
+    for (const type of getTransportCandidates(config)) {
+      const transport = createTransport(type, transportConfig);
+      if (transport.stderr) {
+        transport.stderr.pipe(process.stderr);
+      }
+      client = new Client({ name: 'typingmind-mcp-cli', version });
+      try {
+        await client.connect(transport, {
+          timeout: config.connectTimeoutMs || DEFAULT_CONNECT_TIMEOUT_MS,
+        });
+        lastError = null;
+        break;
+      } catch (error) {
+        lastError = error;
+        await client.close().catch(() => {});
+      }
+    }
+    if (lastError) {
+      throw new Error(`Failed to start server ${id}: ${lastError.message}`);
+    }
+
+    try {
+      const result = await client.callTool(
+        { name, arguments: parseArgs(options.args) },
+        undefined,
+        { timeout: config.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS },
+      );
+      printToolResult(result, options.json);
+      if (result.isError) {
+        process.exitCode = 1;
+      }
+    } finally {
+      await client.close();
+    }
+  },
+};
+
+/**
+ * Run a subcommand
+ * @param {string} command Subcommand name
+ * @param {string[]} positional Positional arguments after the command
+ * @param {object} options Parsed flags
+ * @returns {Promise<void>}
+ */
+async function runCommand(command, positional, options) {
+  const port = process.env.PORT || 50880;
+  const token = options.token || process.env.MCP_AUTH_TOKEN;
+  if (!token && command !== 'run') {
+    throw new Error('Authentication token is required, use --token or MCP_AUTH_TOKEN');
+  }
+  await COMMANDS[command](positional, {
+    ...options,
+    url: options.url || process.env.MCP_URL || `http://localhost:${port}`,
+    token,
+  });
+}
+
+module.exports = {
+  COMMANDS: Object.keys(COMMANDS),
+  runCommand,
+};
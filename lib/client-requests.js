@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const {
+  ListRootsRequestSchema,
+  CreateMessageRequestSchema,
+  CreateMessageResultSchema,
+  ElicitRequestSchema,
+  ElicitResultSchema,
+  ErrorCode,
+  McpError,
+} = require('@modelcontextprotocol/sdk/types.js');
+const { canAccessClient } = require('./auth');
+const { publishEvent } = require('./events');
+const { logger } = require('./logger');
+
+// How long a forwarded request waits for TypingMind to reply
+const DEFAULT_REQUEST_TIMEOUT_MS = parseInt(
+  process.env.MCP_CLIENT_REQUEST_TIMEOUT_MS || '300000',
+  10
+);
+
+// Requests from MCP servers that are forwarded to TypingMind, with the schema
+// of the result it must reply with. Each needs a client capability that is
+// only declared when the server config opts in, e.g. `"sampling": true`.
+const FORWARDED_REQUESTS = {
+  'sampling/createMessage': {
+    capability: 'sampling',
+    requestSchema: CreateMessageRequestSchema,
+    resultSchema: CreateMessageResultSchema,
+  },
+  'elicitation/create': {
+    capability: 'elicitation',
+    requestSchema: ElicitRequestSchema,
+    resultSchema: ElicitResultSchema,
+  },
+};
+
+/**
+ * Validate the `roots` field of a client configuration and convert it to the
+ * roots/list format. Roots are file:// URIs or absolute paths, optionally
+ * with a name: `["/data", { "uri": "file:///src", "name": "Source" }]`.
+ * @param {Array} [roots] Roots from the client configuration
+ * @returns {Array<{uri: string, name?: string}>}
+ */
+function normalizeRoots(roots) {
+  if (roots === undefined) {
+    return [];
+  }
+  if (!Array.isArray(roots)) {
+    throw new Error('roots must be an array');
+  }
+  return roots.map((root) => {
+    const { uri, name } = typeof root === 'string' ? { uri: root } : root || {};
+    if (typeof uri !== 'string') {
+      throw new Error('Each root must be a path or an object with a uri');
+    }
+    if (name !== undefined && typeof name !== 'string') {
+      throw new Error(`Name of root ${uri} must be a string`);
+    }
+    let fileUri = uri;
+    if (!uri.startsWith('file://')) {
+      if (!path.isAbsolute(uri)) {
+        throw new Error(`Root ${uri} must be an absolute path or a file:// URI`);
+      }
+      fileUri = pathToFileURL(uri).href;
+    }
+    return name === undefined ? { uri: fileUri } : { uri: fileUri, name };
+  });
+}
+
+/**
+ * Get the capabilities a client declares for requests from its server.
+ * Roots are always served, sampling and elicitation only when enabled.
+ * @param {object} config Client configuration from /start
+ * @returns {object} Capabilities to declare next to tools, resources and prompts
+ */
+function getRequestCapabilities(config) {
+  const capabilities = { roots: { listChanged: true } };
+  for (const { capability } of Object.values(FORWARDED_REQUESTS)) {
+    const enabled = config[capability];
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      throw new Error(`${capability} must be true or false`);
+    }
+    if (enabled) {
+      capabilities[capability] = {};
+    }
+  }
+  return capabilities;
+}
+
+/**
+ * Requests from MCP servers waiting for a reply from TypingMind. New requests
+ * are published on /events and can be polled from GET /requests.
+ */
+class PendingRequests {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] How long a request waits for a reply
+   */
+  constructor({ timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.requests = new Map();
+  }
+
+  /**
+   * Queue a request until it's answered, times out or the server cancels it
+   * @param {string} clientId The client ID
+   * @param {string} method Request method, e.g. sampling/createMessage
+   * @param {object} params Request params
+   * @param {AbortSignal} [signal] Aborted when the server cancels the request
+   * @returns {Promise<object>} The result sent with reply()
+   */
+  add(clientId, method, params, signal) {
+    const id = crypto.randomUUID();
+    const createdAt = new Date();
+
+    return new Promise((resolve, reject) => {
+      const settle = (callback, value) => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        this.requests.delete(id);
+        callback(value);
+      };
+      const cancel = (reason, code = ErrorCode.RequestTimeout) => {
+        publishEvent('notifications/cancelled', { clientId, requestId: id, reason });
+        settle(reject, new McpError(code, reason));
+      };
+      const onAbort = () => cancel('Request was cancelled by the server');
+      const timer = setTimeout(
+        () => cancel(`No reply after ${this.timeoutMs}ms`),
+        this.timeoutMs
+      );
+
+      this.requests.set(id, {
+        request: {
+          id,
+          clientId,
+          method,
+          params,
+          createdAt: createdAt.toISOString(),
+          expiresAt: new Date(createdAt.getTime() + this.timeoutMs).toISOString(),
+        },
+        resolve: (result) => settle(resolve, result),
+        reject: (error) => settle(reject, error),
+        cancel,
+      });
+      publishEvent(method, { clientId, requestId: id, params });
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Get a pending request
+   * @param {string} id Request ID
+   * @returns {object|undefined}
+   */
+  get(id) {
+    const pending = this.requests.get(id);
+    return pending && pending.request;
+  }
+
+  /**
+   * List pending requests, oldest first
+   * @param {Function} [filter] Called with each request
+   * @returns {object[]}
+   */
+  list(filter = () => true) {
+    return Array.from(this.requests.values(), (pending) => pending.request).filter(filter);
+  }
+
+  /**
+   * Answer a pending request
+   * @param {string} id Request ID
+   * @param {object} reply Either `{ result }` or `{ error: { code, message } }`
+   * @returns {boolean} False if the request isn't pending anymore
+   */
+  reply(id, { result, error }) {
+    const pending = this.requests.get(id);
+    if (!pending) {
+      return false;
+    }
+    if (error) {
+      pending.reject(new McpError(error.code || ErrorCode.InternalError, error.message));
+    } else {
+      pending.resolve(result);
+    }
+    return true;
+  }
+
+  /**
+   * Cancel the pending requests of a client whose server is going away
+   * @param {string} clientId The client ID
+   * @param {string} reason Sent with the notifications/cancelled events
+   */
+  cancelClient(clientId, reason) {
+    for (const pending of Array.from(this.requests.values())) {
+      if (pending.request.clientId === clientId) {
+        pending.cancel(reason, ErrorCode.ConnectionClosed);
+      }
+    }
+  }
+}
+
+/**
+ * Answer the requests an MCP server sends to its client: roots/list from the
+ * client configuration, sampling and elicitation through TypingMind when the
+ * configuration enables them. The client must declare the capabilities
+ * returned by getRequestCapabilities.
+ * @param {string} clientId The client ID
+ * @param {object} client The MCP Client instance
+ * @param {object} options
+ * @param {object} options.config Client configuration from /start
+ * @param {Function} options.getRoots Returns the current roots, see normalizeRoots
+ * @param {PendingRequests} options.pendingRequests Queue of forwarded requests
+ */
+function handleServerRequests(clientId, client, { config, getRoots, pendingRequests }) {
+  client.setRequestHandler(ListRootsRequestSchema, () => ({ roots: getRoots() }));
+
+  for (const [method, { capability, requestSchema }] of Object.entries(FORWARDED_REQUESTS)) {
+    if (!config[capability]) {
+      continue;
+    }
+    client.setRequestHandler(requestSchema, (request, extra) => {
+      logger.info('Forwarding server request', { clientId, method });
+      return pendingRequests.add(clientId, method, request.params, extra.signal);
+    });
+  }
+}
+
+/**
+ * Express handler for GET /requests, listing the pending requests.
+ * Accepts an optional `clientId` query parameter.
+ * @param {PendingRequests} pendingRequests
+ * @returns {Function} Express handler
+ */
+function pendingRequestsHandler(pendingRequests) {
+  return (req, res) => {
+    const { clientId } = req.query;
+    res.status(200).json(
+      pendingRequests.list(
+        (request) =>
+          (!clientId || request.clientId === clientId) &&
+          canAccessClient(req.authToken, request.clientId)
+      )
+    );
+  };
+}
+
+/**
+ * Express handler for POST /requests/:requestId/reply. The body is either
+ * `{ result }` or `{ error: { code, message } }`, e.g. when the user declines.
+ * @param {PendingRequests} pendingRequests
+ * @returns {Function} Express handler
+ */
+function replyHandler(pendingRequests) {
+  return (req, res) => {
+    const request = pendingRequests.get(req.params.requestId);
+    if (!request || !canAccessClient(req.authToken, request.clientId)) {
+      return res.status(404).json({ error: 'Request not found or already answered' });
+    }
+
+    const { result, error } = req.body || {};
+    if (error !== undefined) {
+      if (!error || typeof error.message !== 'string') {
+        return res.status(400).json({ error: 'error.message is required' });
+      }
+      if (error.code !== undefined && !Number.isInteger(error.code)) {
+        return res.status(400).json({ error: 'error.code must be an integer' });
+      }
+      pendingRequests.reply(request.id, { error });
+      return res.status(200).json({ message: 'Error sent to the MCP server' });
+    }
+
+    const parsed = FORWARDED_REQUESTS[request.method].resultSchema.safeParse(result);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: `Invalid result for ${request.method}`,
+        details: parsed.error.issues.map(
+          (issue) => `${issue.path.join('.') || 'result'}: ${issue.message}`
+        ),
+      });
+    }
+    pendingRequests.reply(request.id, { result: parsed.data });
+    res.status(200).json({ message: 'Result sent to the MCP server' });
+  };
+}
+
+module.exports = {
+  normalizeRoots,
+  getRequestCapabilities,
+  PendingRequests,
+  handleServerRequests,
+  pendingRequestsHandler,
+  replyHandler,
+};
@@ -0,0 +1,107 @@
+const { EventEmitter } = require('events');
+const {
+  LoggingMessageNotificationSchema,
+  ToolListChangedNotificationSchema,
+  ResourceListChangedNotificationSchema,
+  ResourceUpdatedNotificationSchema,
+  PromptListChangedNotificationSchema,
+} = require('@modelcontextprotocol/sdk/types.js');
+const { canAccessClient } = require('./auth');
+
+// Notifications from MCP servers that are forwarded as-is
+const FORWARDED_NOTIFICATIONS = [
+  LoggingMessageNotificationSchema,
+  ToolListChangedNotificationSchema,
+  ResourceListChangedNotificationSchema,
+  ResourceUpdatedNotificationSchema,
+  PromptListChangedNotificationSchema,
+];
+
+// Interval between SSE comments that keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected /events stream
+
+let nextEventId = 1;
+
+/**
+ * Publish an event to every connected /events stream
+ * @param {string} type Event type, usually the MCP notification method
+ * @param {object} data Event payload, should include the clientId
+ */
+function publishEvent(type, data) {
+  emitter.emit('event', {
+    id: nextEventId++,
+    type,
+    data: { ...data, timestamp: new Date().toISOString() },
+  });
+}
+
+/**
+ * Forward the notifications sent by an MCP server to the /events streams
+ * @param {string} clientId The client ID
+ * @param {object} client The MCP Client instance
+ * @param {Function} [onNotification] Also called with every forwarded notification
+ */
+function forwardNotifications(clientId, client, onNotification) {
+  for (const schema of FORWARDED_NOTIFICATIONS) {
+    client.setNotificationHandler(schema, (notification) => {
+      if (onNotification) {
+        onNotification(notification);
+      }
+      publishEvent(notification.method, {
+        clientId,
+        params: notification.params,
+      });
+    });
+  }
+}
+
+/**
+ * Express handler streaming events as Server-Sent Events.
+ * Accepts an optional `clientId` query parameter to only receive events
+ * for one client.
+ * @param {object} req Express request
+ * @param {object} res Express response
+ */
+function eventsHandler(req, res) {
+  const { clientId } = req.query;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable buffering in nginx-style proxies
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  const listener = (event) => {
+    if (clientId && event.data.clientId !== clientId) {
+      return;
+    }
+    if (req.authToken && !canAccessClient(req.authToken, event.data.clientId)) {
+      return;
+    }
+    res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`,
+    );
+  };
+  emitter.on('event', listener);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    emitter.off('event', listener);
+  });
+}
+
+module.exports = {
+  publishEvent,
+  forwardNotifications,
+  eventsHandler,
+};
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_FILES_DIR = path.join(os.tmpdir(), 'typingmind-mcp-files');
+
+// Files older than this are deleted, checked every CLEANUP_INTERVAL_MS
+const DEFAULT_MAX_AGE_MS = parseInt(process.env.MCP_FILES_MAX_AGE_MS || '86400000', 10);
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Lifetime of signed URLs, and the longest a caller may ask for
+const DEFAULT_URL_TTL_MS = parseInt(process.env.MCP_FILES_URL_TTL_MS || '3600000', 10);
+const MAX_URL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Largest accepted upload
+const MAX_UPLOAD_BYTES = process.env.MCP_FILES_MAX_BYTES || '50mb';
+
+// Metadata of uploaded files is kept next to them in <id>.meta.json
+const META_SUFFIX = '.meta.json';
+
+// Key used to sign URLs, kept so URLs survive restarts. It must not be in the
+// files directory, every stdio server can read that one.
+const DEFAULT_SECRET_FILE = path.join(os.homedir(), '.typingmind-mcp', 'files.key');
+
+// File IDs are plain file names, so they can't point outside the directory
+const FILE_ID_PATTERN = /^[\w-][\w.-]*$/;
+
+/**
+ * Create the store for artifacts: uploaded files and files written by tools
+ * @param {string} [dir] The directory, created if missing
+ * @param {object} [options]
+ * @param {number} [options.maxAgeMs] Age after which files are deleted
+ * @param {string} [options.secretFile] File the URL signing key is kept in, outside dir
+ * @returns {object} The file store
+ */
+function createFileStore(
+  dir = DEFAULT_FILES_DIR,
+  { maxAgeMs = DEFAULT_MAX_AGE_MS, secretFile = DEFAULT_SECRET_FILE } = {}
+) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  let secret = process.env.MCP_FILES_SECRET;
+  if (!secret) {
+    if (!fs.existsSync(secretFile)) {
+      fs.mkdirSync(path.dirname(secretFile), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(secretFile, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    }
+    secret = fs.readFileSync(secretFile, 'utf8').trim();
+  }
+
+  const sign = (id, expires) =>
+    crypto.createHmac('sha256', secret).update(`${id}.${expires}`).digest('hex');
+
+  const store = {
+    dir,
+
+    /**
+     * Get the path of a stored file
+     * @param {string} id File ID
+     * @returns {string|null} The path, or null if the ID is invalid or the file doesn't exist
+     */
+    resolve(id) {
+      if (!FILE_ID_PATTERN.test(id) || id.endsWith(META_SUFFIX)) {
+        return null;
+      }
+      const file = path.join(dir, id);
+      return fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+    },
+
+    /**
+     * Read the metadata saved with an uploaded file
+     * @param {string} id File ID
+     * @returns {object} The metadata, empty for files written by tools
+     */
+    getMetadata(id) {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, `${id}${META_SUFFIX}`), 'utf8'));
+      } catch (error) {
+        return {};
+      }
+    },
+
+    /**
+     * Save an uploaded file under a new ID
+     * @param {Buffer} data File content
+     * @param {object} [metadata]
+     * @param {string} [metadata.name] Original file name
+     * @param {string} [metadata.contentType] MIME type
+     * @returns {object} The file's ID and metadata
+     */
+    save(data, { name, contentType } = {}) {
+      // Keep the extension so the file is served with the right type
+      const extension = name ? path.extname(path.basename(name)).replace(/[^\w.]/g, '') : '';
+      const id = `${crypto.randomUUID()}${extension}`;
+      const metadata = {
+        id,
+        name: name ? path.basename(name) : id,
+        contentType,
+        size: data.length,
+        createdAt: new Date().toISOString(),
+      };
+      fs.writeFileSync(path.join(dir, id), data, { mode: 0o600 });
+      fs.writeFileSync(path.join(dir, `${id}${META_SUFFIX}`), JSON.stringify(metadata), {
+        mode: 0o600,
+      });
+      return metadata;
+    },
+
+    /**
+     * Create the query parameters of a signed URL
+     * @param {string} id File ID
+     * @param {number} [ttlMs] How long the URL stays valid
+     * @returns {{expires: number, signature: string}}
+     */
+    createSignature(id, ttlMs = DEFAULT_URL_TTL_MS) {
+      const expires = Date.now() + ttlMs;
+      return { expires, signature: sign(id, expires) };
+    },
+
+    /**
+     * Check the query parameters of a signed URL
+     * @param {string} id File ID
+     * @param {string} expires Expiry time in epoch milliseconds
+     * @param {string} signature The signature
+     * @returns {boolean} True if the signature matches and hasn't expired
+     */
+    verifySignature(id, expires, signature) {
+      if (typeof expires !== 'string' || typeof signature !== 'string') {
+        return false;
+      }
+      const expected = Buffer.from(sign(id, expires));
+      const actual = Buffer.from(signature);
+      return (
+        expected.length === actual.length &&
+        crypto.timingSafeEqual(expected, actual) &&
+        Number(expires) > Date.now()
+      );
+    },
+
+    /**
+     * Delete files older than maxAgeMs
+     */
+    cleanup() {
+      const cutoff = Date.now() - maxAgeMs;
+      for (const name of fs.readdirSync(dir)) {
+        const file = path.join(dir, name);
+        try {
+          const stats = fs.statSync(file);
+          if (stats.isFile() && stats.mtimeMs < cutoff) {
+            fs.unlinkSync(file);
+          }
+        } catch (error) {
+          logger.warn('Failed to clean up file', { file, error });
+        }
+      }
+    },
+  };
+
+  store.cleanup();
+  setInterval(() => store.cleanup(), CLEANUP_INTERVAL_MS).unref();
+  return store;
+}
+
+/**
+ * Build an inline Content-Disposition header. Header values must be Latin-1,
+ * so the name is also sent percent-encoded as filename* (RFC 6266).
+ * @param {string} name File name
+ * @returns {string}
+ */
+function getContentDisposition(name) {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Build the signed URL of a file
+ * @param {object} req Express request, used for the host
+ * @param {object} store The file store
+ * @param {string} id File ID
+ * @param {number} [ttlMs] How long the URL stays valid
+ * @returns {{url: string, expiresAt: string}}
+ */
+function createSignedUrl(req, store, id, ttlMs) {
+  const { expires, signature } = store.createSignature(id, ttlMs);
+  return {
+    url: `${req.protocol}://${req.get('host')}/files/${encodeURIComponent(id)}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires).toISOString(),
+  };
+}
+
+/**
+ * Parse the optional `expiresIn` lifetime of a signed URL
+ * @param {*} value Milliseconds, as a number or string
+ * @returns {number|undefined}
+ */
+function parseTtl(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const ttlMs = Number(value);
+  if (!Number.isInteger(ttlMs) || ttlMs <= 0 || ttlMs > MAX_URL_TTL_MS) {
+    throw new Error(`expiresIn must be between 1 and ${MAX_URL_TTL_MS} milliseconds`);
+  }
+  return ttlMs;
+}
+
+/**
+ * Middleware letting requests with a valid signed URL through, others need a token
+ * @param {object} store The file store
+ * @param {Function} authenticate Auth middleware for requests without a signature
+ * @returns {Function} Express middleware function
+ */
+function signedUrlMiddleware(store, authenticate) {
+  return (req, res, next) => {
+    const { expires, signature } = req.query;
+    if (signature === undefined) {
+      return authenticate(req, res, next);
+    }
+    if (!store.verifySignature(req.params.fileId, expires, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+    next();
+  };
+}
+
+/**
+ * Express handler for POST /files, the body is the raw file content
+ * @param {object} store The file store
+ * @returns {Function} Express handler
+ */
+function uploadHandler(store) {
+  return (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'File content is required as the request body' });
+    }
+
+    let ttlMs;
+    try {
+      ttlMs = parseTtl(req.query.expiresIn);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const metadata = store.save(req.body, {
+        name: req.query.name || req.get('X-File-Name'),
+        contentType: req.get('Content-Type'),
+      });
+      res.status(201).json({
+        ...metadata,
+        path: path.join(store.dir, metadata.id),
+        ...createSignedUrl(req, store, metadata.id, ttlMs),
+      });
+    } catch (error) {
+      req.log.error('Error saving file', { error });
+      res.status(500).json({ error: 'Failed to save file', details: error.message });
+    }
+  };
+}
+
+/**
+ * Express handler for GET /files/:fileId
+ * @param {object} store The file store
+ * @returns {Function} Express handler
+ */
+function downloadHandler(store) {
+  return (req, res) => {
+    const file = store.resolve(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const { name, contentType } = store.getMetadata(req.params.fileId);
+    // Uploaded files could be HTML or SVG, never let them run scripts here
+    res.set({
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+      'Cache-Control': 'private, max-age=0',
+    });
+    if (contentType) {
+      res.type(contentType);
+    }
+    if (name) {
+      res.set('Content-Disposition', getContentDisposition(name));
+    }
+    res.sendFile(file);
+  };
+}
+
+/**
+ * Express handler for GET /files/:fileId/url, creating a signed URL
+ * @param {object} store The file store
+ * @returns {Function} Express handler
+ */
+function signHandler(store) {
+  return (req, res) => {
+    if (!store.resolve(req.params.fileId)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    let ttlMs;
+    try {
+      ttlMs = parseTtl(req.query.expiresIn);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(200).json(createSignedUrl(req, store, req.params.fileId, ttlMs));
+  };
+}
+
+module.exports = {
+  DEFAULT_FILES_DIR,
+  MAX_UPLOAD_BYTES,
+  createFileStore,
+  signedUrlMiddleware,
+  uploadHandler,
+  downloadHandler,
+  signHandler,
+};
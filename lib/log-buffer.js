@@ -0,0 +1,84 @@
+const { maskValues } = require('./logger');
+
+// Number of lines kept per client
+const DEFAULT_MAX_LINES = parseInt(process.env.MCP_LOG_BUFFER_LINES || '1000', 10);
+
+// Longer lines are truncated so one noisy server can't eat all memory
+const MAX_LINE_LENGTH = 4096;
+
+/**
+ * Bounded ring buffer of log lines
+ */
+class LogBuffer {
+  /**
+   * @param {number} maxLines Maximum number of lines to keep
+   */
+  constructor(maxLines = DEFAULT_MAX_LINES) {
+    this.maxLines = maxLines;
+    this.lines = new Array(maxLines);
+    this.start = 0;
+    this.size = 0;
+    this.partial = '';
+  }
+
+  /**
+   * Append a chunk of output, splitting it into lines
+   * @param {Buffer|string} chunk Raw output
+   * @returns {string[]} The complete lines that were added
+   */
+  write(chunk) {
+    const text = this.partial + chunk.toString();
+    const parts = text.split(/\r?\n/);
+    this.partial = parts.pop().slice(0, MAX_LINE_LENGTH);
+
+    for (const line of parts) {
+      this.push(line);
+    }
+    return parts;
+  }
+
+  /**
+   * Add a single line, masking secret values the server may print
+   * @param {string} line The line to add
+   */
+  push(line) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      line: maskValues(line.slice(0, MAX_LINE_LENGTH)),
+    };
+
+    if (this.size < this.maxLines) {
+      this.lines[(this.start + this.size) % this.maxLines] = entry;
+      this.size += 1;
+    } else {
+      this.lines[this.start] = entry;
+      this.start = (this.start + 1) % this.maxLines;
+    }
+  }
+
+  /**
+   * Get buffered lines, oldest first
+   * @param {object} [options]
+   * @param {number} [options.tail] Only return the last N lines
+   * @param {Date} [options.since] Only return lines logged after this time
+   * @returns {Array<{timestamp: string, line: string}>}
+   */
+  read({ tail, since } = {}) {
+    let entries = [];
+    for (let i = 0; i < this.size; i++) {
+      entries.push(this.lines[(this.start + i) % this.maxLines]);
+    }
+
+    if (since) {
+      entries = entries.filter((entry) => new Date(entry.timestamp) > since);
+    }
+    if (tail !== undefined) {
+      entries = tail > 0 ? entries.slice(-tail) : [];
+    }
+    return entries;
+  }
+}
+
+module.exports = {
+  LogBuffer,
+};
@@ -0,0 +1,256 @@
+// Log levels, lower is more severe
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] !== undefined ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+// Keys whose values are never logged, matched case-insensitively against the
+// key as it is and split into lowercase words joined by `_` (apiKey, API-Key
+// and --api-key all become api_key). Extend with LOG_REDACT_PATTERNS, a
+// comma-separated list of regular expressions.
+const DEFAULT_REDACT_PATTERNS = [
+  'key',
+  'token',
+  'secret',
+  'pass',
+  'pwd',
+  '(^|_)auth(orization|entication)?($|_)',
+  'credential',
+  'cookie',
+  '(^|_)session(_?id)?$',
+  'private',
+  'signature',
+  'dsn',
+  'database_url',
+  'connection_string',
+];
+
+// Common argument names caught by the default patterns that don't hold
+// anything sensitive, in the `_`-joined form
+const NOT_SENSITIVE_KEYS = new Set([
+  'keyword',
+  'keywords',
+  'keyboard',
+  'monkey',
+  'passage',
+  'passages',
+  'compass',
+  'tokens',
+  'max_tokens',
+  'max_completion_tokens',
+  'max_output_tokens',
+  'input_tokens',
+  'output_tokens',
+  'total_tokens',
+  'token_count',
+  'tokenizer',
+  'token_name',
+]);
+
+/**
+ * Compile a redact pattern
+ * @param {string} pattern The regular expression
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern.trim(), 'i');
+  } catch (error) {
+    throw new Error(`Invalid pattern "${pattern}" in LOG_REDACT_PATTERNS: ${error.message}`);
+  }
+}
+
+const DEFAULT_PATTERNS = DEFAULT_REDACT_PATTERNS.map(compilePattern);
+const CUSTOM_PATTERNS = (process.env.LOG_REDACT_PATTERNS || '')
+  .split(',')
+  .filter(Boolean)
+  .map(compilePattern);
+
+const REDACTED = '[REDACTED]';
+
+// Values from the secret store, masked wherever they show up. Very short
+// values are left alone, masking them would garble every line.
+const MIN_MASKED_LENGTH = 4;
+const maskedValues = new Set();
+
+/**
+ * Mask a value wherever it appears in logs, e.g. a secret passed to a server
+ * @param {string} value The value
+ */
+function addMaskedValue(value) {
+  if (typeof value === 'string' && value.length >= MIN_MASKED_LENGTH) {
+    maskedValues.add(value);
+  }
+}
+
+/**
+ * Replace the values added with addMaskedValue in a string
+ * @param {string} text The string
+ * @returns {string} The masked string
+ */
+function maskValues(text) {
+  let masked = text;
+  for (const value of maskedValues) {
+    if (masked.includes(value)) {
+      masked = masked.split(value).join(REDACTED);
+    }
+  }
+  return masked;
+}
+
+/**
+ * Check whether a key names a sensitive value
+ * @param {string} key The key
+ * @returns {boolean}
+ */
+function isSensitiveKey(key) {
+  const words = String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  const matches = (pattern) => pattern.test(key) || pattern.test(words);
+  return (
+    (!NOT_SENSITIVE_KEYS.has(words) && DEFAULT_PATTERNS.some(matches)) ||
+    CUSTOM_PATTERNS.some(matches)
+  );
+}
+
+/**
+ * Remove credentials and sensitive query parameters from a URL
+ * @param {string} url Absolute or relative URL
+ * @returns {string} The redacted URL
+ */
+function redactUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url, 'http://relative');
+  } catch (error) {
+    return url;
+  }
+
+  let changed = false;
+  if (parsed.password) {
+    parsed.password = REDACTED;
+    changed = true;
+  }
+  for (const name of Array.from(parsed.searchParams.keys())) {
+    if (isSensitiveKey(name)) {
+      parsed.searchParams.set(name, REDACTED);
+      changed = true;
+    }
+  }
+  if (!changed) {
+    return url;
+  }
+
+  const redacted = parsed.toString();
+  return parsed.origin === 'http://relative'
+    ? redacted.slice('http://relative'.length)
+    : redacted;
+}
+
+/**
+ * Redact a string: masked values, URL credentials and `--flag=value` arguments
+ * with sensitive names
+ * @param {string} text The string
+ * @returns {string} The redacted string
+ */
+function redactString(text) {
+  const value = maskValues(text);
+  const flag = value.match(/^(--?[\w.-]+)=/);
+  if (flag && isSensitiveKey(flag[1])) {
+    return `${flag[1]}=${REDACTED}`;
+  }
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    return redactUrl(value);
+  }
+  return value;
+}
+
+/**
+ * Deeply redact a value for logging
+ * @param {*} value The value
+ * @param {string} [key] The key the value is stored under
+ * @returns {*} A redacted copy
+ */
+function redact(value, key) {
+  if (key !== undefined && isSensitiveKey(key) && value !== undefined && value !== null) {
+    return REDACTED;
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const result = {};
+    for (const [childKey, childValue] of Object.entries(value)) {
+      result[childKey] = redact(childValue, childKey);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Format fields as ` key=value` pairs for text output
+ * @param {object} fields The fields
+ * @returns {string}
+ */
+function formatFields(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => {
+      if (key === 'error' && value && value.message) {
+        return ` error=${JSON.stringify(value.message)}`;
+      }
+      return ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+    })
+    .join('');
+}
+
+/**
+ * Create a logger
+ * @param {object} [bindings] Fields added to every entry, e.g. a request ID
+ * @returns {object} Logger with error, warn, info, debug and child methods
+ */
+function createLogger(bindings = {}) {
+  const write = (level, message, fields = {}) => {
+    if (LEVELS[level] > LEVELS[LOG_LEVEL]) {
+      return;
+    }
+
+    const time = new Date().toISOString();
+    const msg = maskValues(message);
+    const data = redact({ ...bindings, ...fields });
+    const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+
+    if (LOG_FORMAT === 'json') {
+      stream.write(`${JSON.stringify({ time, level, msg, ...data })}\n`);
+    } else {
+      stream.write(`[${time}] ${level.toUpperCase()} ${msg}${formatFields(data)}\n`);
+    }
+  };
+
+  return {
+    error: (message, fields) => write('error', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    debug: (message, fields) => write('debug', message, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+module.exports = {
+  logger: createLogger(),
+  addMaskedValue,
+  maskValues,
+  redact,
+  redactUrl,
+};
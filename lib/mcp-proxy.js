@@ -0,0 +1,316 @@
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const {
+  StreamableHTTPServerTransport,
+} = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+} = require('@modelcontextprotocol/sdk/types.js');
+const { version } = require('../package.json');
+const { canAccessClient } = require('./auth');
+const { logger } = require('./logger');
+const { observeToolCall } = require('./metrics');
+const { CLIENT_STATES } = require('./supervisor');
+const {
+  applyToolRules,
+  isToolEnabled,
+  validateToolArguments,
+} = require('./tool-rules');
+
+// Separates the client ID from the tool or prompt name: <clientId>__<name>
+const SEPARATOR = '__';
+
+/**
+ * Split a namespaced name into its client entry and original name
+ * @param {object[]} clientEntries Clients visible to the caller
+ * @param {string} namespacedName Name in the form <clientId>__<name>
+ * @returns {{clientEntry: object, name: string}}
+ */
+function resolveName(clientEntries, namespacedName) {
+  // Client IDs may contain the separator too, so prefer the longest match
+  const clientEntry = clientEntries
+    .filter((entry) => namespacedName.startsWith(`${entry.id}${SEPARATOR}`))
+    .sort((a, b) => b.id.length - a.id.length)[0];
+
+  if (!clientEntry) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown name: ${namespacedName}`);
+  }
+  return {
+    clientEntry,
+    name: namespacedName.slice(clientEntry.id.length + SEPARATOR.length),
+  };
+}
+
+/**
+ * Create the MCP server exposing every visible client as one server
+ * @param {object[]} clientEntries Clients visible to the caller
+ * @param {Function} getList Returns a Promise of a client's cached list of a kind
+ * @param {Function} getRunningClient Returns a Promise of a client's running entry, starting idle clients
+ * @param {Function} [audit] Records a tool call in the audit log
+ * @param {Function} [limitCall] Throws when a tool call is over a rate limit
+ * @returns {McpServer}
+ */
+function createAggregateServer(
+  clientEntries,
+  getList,
+  getRunningClient,
+  audit = () => {},
+  limitCall = () => {},
+) {
+  const mcpServer = new McpServer(
+    { name: 'typingmind-mcp', version },
+    { capabilities: { tools: {}, resources: {}, prompts: {} } },
+  );
+  const { server } = mcpServer;
+
+  // Collect a list from every client, skipping the ones that fail
+  const collect = async (kind, map) => {
+    const results = await Promise.allSettled(
+      clientEntries.map(async (clientEntry) =>
+        map(clientEntry, await getList(clientEntry, kind)),
+      ),
+    );
+    return results.flatMap((result, index) => {
+      if (result.status === 'rejected') {
+        logger.error(`Error getting ${kind}`, {
+          clientId: clientEntries[index].id,
+          error: result.reason,
+        });
+        return [];
+      }
+      return result.value;
+    });
+  };
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: await collect('tools', (clientEntry, tools) =>
+      applyToolRules(clientEntry.config, tools).map((tool) => ({
+        ...tool,
+        name: `${clientEntry.id}${SEPARATOR}${tool.name}`,
+      })),
+    ),
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const resolved = resolveName(clientEntries, request.params.name);
+    const { name } = resolved;
+    limitCall(resolved.clientEntry.id, name);
+    const clientEntry = await getRunningClient(resolved.clientEntry);
+    const args = request.params.arguments || {};
+
+    if (!isToolEnabled(clientEntry.config, name)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Tool ${name} is disabled for client ${clientEntry.id}`,
+      );
+    }
+
+    const tool = (await getList(clientEntry, 'tools')).find(
+      (candidate) => candidate.name === name,
+    );
+    if (tool) {
+      const argumentErrors = validateToolArguments(tool, args);
+      if (argumentErrors.length > 0) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Invalid tool arguments: ${argumentErrors.join(', ')}`,
+        );
+      }
+    }
+
+    if (clientEntry.queue.isFull()) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Too many calls for client ${clientEntry.id}, try again later`,
+      );
+    }
+
+    // Progress from the server is passed on when the caller asked for it
+    const progressToken = request.params._meta && request.params._meta.progressToken;
+    const startTime = Date.now();
+    const auditCall = (status, details) =>
+      audit({
+        action: 'call_tool',
+        clientId: clientEntry.id,
+        tool: name,
+        arguments: args,
+        status,
+        durationMs: Date.now() - startTime,
+        ...details,
+      });
+    try {
+      const result = await clientEntry.queue.run(
+        () =>
+          clientEntry.client.callTool(
+            { name, arguments: args },
+            undefined,
+            {
+              signal: extra.signal,
+              timeout: clientEntry.timeoutMs,
+              onprogress: (progress) => {
+                if (progressToken !== undefined) {
+                  extra
+                    .sendNotification({
+                      method: 'notifications/progress',
+                      params: { ...progress, progressToken },
+                    })
+                    .catch(() => {});
+                }
+              },
+              resetTimeoutOnProgress: true,
+            },
+          ),
+        extra.signal,
+      );
+      const status = result.isError ? 'tool_error' : 'success';
+      observeToolCall(clientEntry.id, name, status, startTime);
+      auditCall(status, { resultSize: Buffer.byteLength(JSON.stringify(result)) });
+      return result;
+    } catch (error) {
+      let status = 'error';
+      if (extra.signal.aborted) {
+        status = 'cancelled';
+      } else if (error.code === ErrorCode.RequestTimeout) {
+        status = 'timeout';
+      }
+      observeToolCall(clientEntry.id, name, status, startTime);
+      auditCall(status, { error: error.message });
+      throw error;
+    }
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    // Resource URIs are kept as they are so they stay meaningful to the caller
+    resources: await collect('resources', (clientEntry, resources) =>
+      resources.map((resource) => ({
+        ...resource,
+        name: `${clientEntry.id}${SEPARATOR}${resource.name}`,
+      })),
+    ),
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    for (const clientEntry of clientEntries) {
+      const resources = await getList(clientEntry, 'resources').catch(() => []);
+      if (resources.some((resource) => resource.uri === uri)) {
+        const runningEntry = await getRunningClient(clientEntry);
+        return runningEntry.client.readResource(
+          { uri },
+          { timeout: runningEntry.timeoutMs },
+        );
+      }
+    }
+    throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: await collect('prompts', (clientEntry, prompts) =>
+      prompts.map((prompt) => ({
+        ...prompt,
+        name: `${clientEntry.id}${SEPARATOR}${prompt.name}`,
+      })),
+    ),
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const resolved = resolveName(clientEntries, request.params.name);
+    const clientEntry = await getRunningClient(resolved.clientEntry);
+    return clientEntry.client.getPrompt(
+      {
+        name: resolved.name,
+        arguments: request.params.arguments || {},
+      },
+      { timeout: clientEntry.timeoutMs },
+    );
+  });
+
+  return mcpServer;
+}
+
+/**
+ * Create the Express handler for the aggregated Streamable HTTP MCP endpoint.
+ * The endpoint is stateless: every POST gets its own server and transport.
+ * @param {object} options
+ * @param {Map} options.clients The active MCP clients
+ * @param {Function} options.getList Returns a Promise of a client's cached list of a kind
+ * @param {Function} options.getRunningClient Returns a Promise of a client's running entry, starting idle clients
+ * @param {Function} [options.audit] Called with the request and an audit log entry for every tool call
+ * @param {object} [options.rateLimiters] The `calls` and `toolCalls` limiters, see createRateLimiters.
+ *   Only tool calls are counted, not list or initialize requests.
+ * @returns {Function} Express handler
+ */
+function mcpProxyHandler({ clients, getList, getRunningClient, audit, rateLimiters = {} }) {
+  return async (req, res) => {
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        jsonrpc: '2.0',
+        error: { code: ErrorCode.ConnectionClosed, message: 'Method not allowed' },
+        id: null,
+      });
+    }
+
+    const clientEntries = Array.from(clients.values()).filter(
+      (clientEntry) =>
+        (clientEntry.state === CLIENT_STATES.RUNNING ||
+          clientEntry.state === CLIENT_STATES.IDLE) &&
+        canAccessClient(req.authToken, clientEntry.id),
+    );
+
+    // Same limits as /clients/:id/call_tools: per token, and per tool of a client
+    const limitCall = (clientId, name) => {
+      const limits = [
+        [rateLimiters.calls, req.authToken.name],
+        [rateLimiters.toolCalls, `${clientId}/${name}`],
+      ];
+      for (const [limiter, key] of limits) {
+        const status = limiter ? limiter.hit(key) : { allowed: true };
+        if (!status.allowed) {
+          throw new McpError(
+            ErrorCode.InvalidRequest,
+            `Rate limit exceeded: limit of ${status.limit} requests per ${limiter.windowMs / 1000}s, retry in ${Math.ceil(status.resetMs / 1000)}s`,
+          );
+        }
+      }
+    };
+
+    const mcpServer = createAggregateServer(
+      clientEntries,
+      getList,
+      getRunningClient,
+      audit && ((entry) => audit(req, entry)),
+      limitCall,
+    );
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: undefined,
+    });
+    res.on('close', () => {
+      transport.close();
+      mcpServer.close();
+    });
+
+    try {
+      await mcpServer.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      (req.log || logger).error('Error handling MCP request', { error });
+      if (!res.headersSent) {
+        res.status(500).json({
+          jsonrpc: '2.0',
+          error: { code: ErrorCode.InternalError, message: 'Internal server error' },
+          id: null,
+        });
+      }
+    }
+  };
+}
+
+module.exports = {
+  mcpProxyHandler,
+};
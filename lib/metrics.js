@@ -0,0 +1,177 @@
+const {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  collectDefaultMetrics,
+} = require('prom-client');
+const { logger } = require('./logger');
+
+const registry = new Registry();
+collectDefaultMetrics({ register: registry });
+
+// Clients reported by the gauges, set by watchClients
+let watchedClients = new Map();
+
+const toolCalls = new Counter({
+  name: 'mcp_tool_calls_total',
+  help: 'Tool calls by client, tool and status (success, tool_error, error, timeout, cancelled)',
+  labelNames: ['client', 'tool', 'status'],
+  registers: [registry],
+});
+
+const toolCallDuration = new Histogram({
+  name: 'mcp_tool_call_duration_seconds',
+  help: 'Tool call latency by client and tool',
+  labelNames: ['client', 'tool'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  registers: [registry],
+});
+
+const clientStartups = new Counter({
+  name: 'mcp_client_startups_total',
+  help: 'Client startups by client, transport and status (success, error)',
+  labelNames: ['client', 'transport', 'status'],
+  registers: [registry],
+});
+
+const clientStartupDuration = new Histogram({
+  name: 'mcp_client_startup_duration_seconds',
+  help: 'Time to spawn and connect a client',
+  labelNames: ['client'],
+  buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  registers: [registry],
+});
+
+const clientRestarts = new Counter({
+  name: 'mcp_client_restarts_total',
+  help: 'Client restarts by client and reason (crash, manual)',
+  labelNames: ['client', 'reason'],
+  registers: [registry],
+});
+
+new Gauge({
+  name: 'mcp_clients',
+  help: 'Registered clients by state',
+  labelNames: ['state'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const clientEntry of watchedClients.values()) {
+      this.inc({ state: clientEntry.state });
+    }
+  },
+});
+
+new Gauge({
+  name: 'mcp_child_processes',
+  help: 'Running child processes spawned for stdio clients',
+  registers: [registry],
+  collect() {
+    let count = 0;
+    for (const clientEntry of watchedClients.values()) {
+      if (clientEntry.transport && clientEntry.transport.pid) {
+        count += 1;
+      }
+    }
+    this.set(count);
+  },
+});
+
+const httpRequests = new Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+/**
+ * Report the clients in the client gauges
+ * @param {Map} clients The active MCP clients
+ */
+function watchClients(clients) {
+  watchedClients = clients;
+}
+
+/**
+ * Record a finished tool call
+ * @param {string} clientId The client ID
+ * @param {string} tool Tool name
+ * @param {string} status success, tool_error, error, timeout or cancelled
+ * @param {number} startTime Date.now() when the call started
+ */
+function observeToolCall(clientId, tool, status, startTime) {
+  toolCalls.inc({ client: clientId, tool, status });
+  toolCallDuration.observe(
+    { client: clientId, tool },
+    (Date.now() - startTime) / 1000,
+  );
+}
+
+/**
+ * Record a client startup attempt
+ * @param {string} clientId The client ID
+ * @param {string} transport Transport type, or `none` if no transport connected
+ * @param {string} status success or error
+ * @param {number} startTime Date.now() when the startup began
+ */
+function observeClientStartup(clientId, transport, status, startTime) {
+  clientStartups.inc({ client: clientId, transport, status });
+  if (status === 'success') {
+    clientStartupDuration.observe(
+      { client: clientId },
+      (Date.now() - startTime) / 1000,
+    );
+  }
+}
+
+/**
+ * Record a client restart
+ * @param {string} clientId The client ID
+ * @param {string} reason crash or manual
+ */
+function observeClientRestart(clientId, reason) {
+  clientRestarts.inc({ client: clientId, reason });
+}
+
+/**
+ * Middleware counting HTTP requests by route once they finish
+ * @returns {Function} Express middleware function
+ */
+function httpMetricsMiddleware() {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      // Use the route pattern, not the URL, to keep label cardinality low
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  };
+}
+
+/**
+ * Express handler serving the metrics in Prometheus text format
+ * @param {object} req Express request
+ * @param {object} res Express response
+ */
+async function metricsHandler(req, res) {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.status(200).send(await registry.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics', { error });
+    res.status(500).json({
+      error: 'Failed to collect metrics',
+      details: error.message,
+    });
+  }
+}
+
+module.exports = {
+  watchClients,
+  observeToolCall,
+  observeClientStartup,
+  observeClientRestart,
+  httpMetricsMiddleware,
+  metricsHandler,
+};
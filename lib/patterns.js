@@ -0,0 +1,19 @@
+/**
+ * Check whether a value matches a simple glob pattern (only `*` is special)
+ * @param {string} value The value to check
+ * @param {string} pattern The pattern
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreCase] Match case-insensitively
+ * @returns {boolean}
+ */
+function matchesPattern(value, pattern, { ignoreCase = false } = {}) {
+  const escaped = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, ignoreCase ? 'i' : '').test(value);
+}
+
+module.exports = {
+  matchesPattern,
+};
@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+const { maskValues } = require('./logger');
+const { matchesPattern } = require('./patterns');
+
+// Env vars that change how a runtime loads code, always blocked when a policy
+// is active. PATH decides which executable a command name runs, HOME which
+// .npmrc and other user config files are read.
+const DEFAULT_BLOCKED_ENV = [
+  'PATH',
+  'HOME',
+  'NODE_OPTIONS',
+  'NODE_PATH',
+  'LD_PRELOAD',
+  'LD_LIBRARY_PATH',
+  'LD_AUDIT',
+  'DYLD_*',
+  'PYTHONPATH',
+  'PYTHONSTARTUP',
+  'PERL5OPT',
+  'RUBYOPT',
+  'BASH_ENV',
+  'ENV',
+  'NPM_CONFIG_*',
+  'UV_INDEX_URL',
+  'UV_EXTRA_INDEX_URL',
+  'PIP_INDEX_URL',
+  'PIP_EXTRA_INDEX_URL',
+];
+
+// Package runners whose first positional argument is the package to run,
+// the flags that take a package as their value and the only other flags
+// allowed before the package. Anything else, like a custom registry or
+// `--call`, could run code that isn't an allowed package.
+const PACKAGE_RUNNERS = {
+  npx: {
+    packageFlags: ['-p', '--package'],
+    flags: ['-y', '--yes', '-q', '--quiet', '--prefer-offline', '--prefer-online'],
+  },
+  uvx: {
+    packageFlags: ['--from', '--with'],
+    flags: ['-q', '--quiet', '--offline', '--isolated', '--no-cache'],
+  },
+};
+
+// docker run flags that take a value, needed to find the image argument
+const DOCKER_VALUE_FLAGS = [
+  '-e', '--env', '--env-file', '-v', '--volume', '--mount', '--name',
+  '-p', '--publish', '--network', '--net', '-w', '--workdir', '-u', '--user',
+  '-l', '--label', '-m', '--memory', '--cpus', '--platform',
+  '--entrypoint', '--volumes-from', '--cap-add', '--device',
+];
+
+// docker run flags that give the container control over the host, or run
+// something else than the image's own entrypoint
+const DOCKER_BLOCKED_FLAGS = [
+  '--privileged',
+  '--pid=host',
+  '--network=host',
+  '--net=host',
+  '--ipc=host',
+  '--cap-add',
+  '--device',
+  '--entrypoint',
+  '--volumes-from',
+];
+
+// docker volume sources that are named volumes, anything else is a host path
+const DOCKER_VOLUME_NAME_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+
+/**
+ * Check whether a value matches any of the patterns, ignoring case except for
+ * arguments, which are often case-sensitive paths
+ * @param {string} value The value to check
+ * @param {string[]} patterns Patterns to match against
+ * @param {boolean} [ignoreCase=true] Match case-insensitively
+ * @returns {boolean}
+ */
+function matchesAny(value, patterns, ignoreCase = true) {
+  return patterns.some((pattern) => matchesPattern(value, pattern, { ignoreCase }));
+}
+
+// Package specs a runner accepts without installing anything else than the
+// named package: a registry name with a plain version, range or dist-tag.
+// Aliases (`npm:`), tarballs, paths and git URLs all need `:` or `/` after
+// the name, which these patterns don't allow.
+const PACKAGE_SPEC_PATTERNS = {
+  // pkg, @scope/pkg, pkg@1.2.3, pkg@^1.0.0, pkg@latest
+  npx: /^((?:@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*)(?:@([\w.^~<>=*|+ -]+))?$/i,
+  // pkg, pkg[extra], pkg@1.0, pkg==1.0, pkg>=1.0,<2
+  uvx: /^([a-z0-9][\w.-]*)(?:\[[\w, .-]*\])?\s*(?:@\s*([\w.*+!-]+)|((?:===?|!=|<=?|>=?|~=)\s*[\w.*+!-]+(?:\s*,\s*(?:===?|!=|<=?|>=?|~=)\s*[\w.*+!-]+)*))?$/i,
+};
+
+// Version specs that look plain but still point npm or uv somewhere else
+const BLOCKED_VERSION_PATTERN = /^\s*(npm|file|git|http|link|workspace)/i;
+
+/**
+ * Get the package name from a package spec (`pkg@1.2.3`, `@scope/pkg@latest`,
+ * `pkg==1.0`), rejecting specs that install something other than a registry package
+ * @param {string} command The runner, npx or uvx
+ * @param {string} spec Package spec
+ * @returns {string|null} Package name, or null when the spec isn't a plain registry package
+ */
+function getPackageName(command, spec) {
+  const match = spec.match(PACKAGE_SPEC_PATTERNS[command]);
+  if (!match) {
+    return null;
+  }
+  const [, name, version] = match;
+  return version && BLOCKED_VERSION_PATTERN.test(version) ? null : name;
+}
+
+/**
+ * Resolve an argument that is a path, or a `--flag=path`, so `..` can't
+ * step out of an allowed directory. Other arguments are returned as they are.
+ * @param {string} arg The argument
+ * @param {string} workingDirectory Directory relative paths are resolved against
+ * @returns {string}
+ */
+function resolvePathArg(arg, workingDirectory) {
+  const [, prefix, value] = arg.match(/^(--?[\w.-]+=)?(.*)$/s);
+  const isPath =
+    path.isAbsolute(value) ||
+    value.split(/[\\/]/).some((segment) => segment === '.' || segment === '..');
+  return isPath ? `${prefix || ''}${path.resolve(workingDirectory, value)}` : arg;
+}
+
+/**
+ * Load and validate a policy file
+ * @param {string} file Path to the policy JSON file
+ * @returns {object} The policy
+ */
+function loadPolicy(file) {
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read policy file ${file}: ${error.message}`);
+  }
+
+  if (!policy || typeof policy.commands !== 'object' || Array.isArray(policy.commands)) {
+    throw new Error(`Policy file ${file} must contain a "commands" object`);
+  }
+  if (policy.cwd && !path.isAbsolute(policy.cwd)) {
+    throw new Error(`Policy cwd must be an absolute path`);
+  }
+
+  return {
+    commands: policy.commands,
+    urls: policy.urls,
+    cwd: policy.cwd,
+    blockedEnv: [...DEFAULT_BLOCKED_ENV, ...(policy.blockedEnv || [])],
+  };
+}
+
+/**
+ * Check the arguments of a package runner against the allowed packages
+ * @param {string} command The runner, npx or uvx
+ * @param {string[]} args Command arguments
+ * @param {string[]} allowedPackages Package patterns from the policy
+ * @returns {string[]} Violations
+ */
+function checkRunnerArgs(command, args, allowedPackages) {
+  const { packageFlags, flags } = PACKAGE_RUNNERS[command];
+  const violations = [];
+  const packages = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [flag, inlineValue] = arg.split(/=(.*)/);
+    if (packageFlags.includes(flag)) {
+      packages.push(inlineValue !== undefined ? inlineValue : args[++i]);
+    } else if (flags.includes(arg)) {
+      continue;
+    } else if (arg.startsWith('-')) {
+      violations.push(`Flag ${flag} is not allowed for ${command}`);
+    } else {
+      // Everything after the package is passed to it
+      packages.push(arg);
+      break;
+    }
+  }
+
+  const specs = packages.filter(Boolean);
+  if (specs.length === 0) {
+    violations.push(`No package given to ${command}`);
+  }
+  for (const spec of specs) {
+    const name = getPackageName(command, spec);
+    if (!name) {
+      violations.push(`Package ${spec} must be a registry package with a plain version for ${command}`);
+    } else if (!matchesAny(name, allowedPackages)) {
+      violations.push(`Package ${name} is not allowed for ${command}`);
+    }
+  }
+  return violations;
+}
+
+/**
+ * Check whether a docker volume or mount mounts a path of the host
+ * @param {string} flag The flag, -v, --volume or --mount
+ * @param {string} value The flag's value
+ * @returns {boolean}
+ */
+function isHostMount(flag, value) {
+  if (flag === '--mount') {
+    // Bind mounts, and volumes whose driver options can bind a host path
+    const options = value.split(',').map((option) => option.trim());
+    return options.some((option) => option === 'type=bind' || option.startsWith('volume-opt'));
+  }
+  // -v name:/path is a named volume, -v /path alone an anonymous one
+  const parts = value.split(':');
+  return parts.length > 1 && !DOCKER_VOLUME_NAME_PATTERN.test(parts[0]);
+}
+
+/**
+ * Check the arguments of a docker command
+ * @param {string[]} args Command arguments
+ * @param {object} rule Policy rule for docker
+ * @returns {string[]} Violations
+ */
+function checkDockerArgs(args, rule) {
+  if (args[0] !== 'run') {
+    return ['Only "docker run" is allowed'];
+  }
+
+  const violations = [];
+  let image;
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i];
+    let [flag, value] = arg.split(/=(.*)/);
+    // -v also takes its value attached, as in -v/src:/dst
+    if (/^-v./.test(flag) && value === undefined) {
+      [flag, value] = ['-v', arg.slice(2)];
+    }
+
+    if (DOCKER_BLOCKED_FLAGS.some((blocked) => arg === blocked || arg.startsWith(`${blocked}=`))) {
+      violations.push(`Docker flag ${arg} is not allowed`);
+      if (DOCKER_VALUE_FLAGS.includes(arg)) {
+        i++;
+      }
+    } else if (DOCKER_VALUE_FLAGS.includes(flag)) {
+      if (value === undefined) {
+        value = args[++i] || '';
+      }
+      if (['-v', '--volume', '--mount'].includes(flag) && isHostMount(flag, value)) {
+        violations.push(`Docker host mount ${value} is not allowed`);
+      }
+    } else if (!arg.startsWith('-')) {
+      image = arg;
+      break;
+    }
+  }
+
+  if (!image) {
+    violations.push('Docker image is required');
+  } else if (Array.isArray(rule.images) && !matchesAny(image, rule.images)) {
+    violations.push(`Docker image ${image} is not allowed`);
+  }
+  return violations;
+}
+
+/**
+ * Check a client configuration against the policy
+ * @param {object|null} policy The policy, or null when no policy is active
+ * @param {object} config Client configuration from /start
+ * @returns {string[]} Violations, empty when the config is allowed
+ */
+function checkPolicy(policy, config) {
+  if (!policy) {
+    return [];
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['Server config must be an object'];
+  }
+
+  const { command, url, cwd } = config;
+  const args = config.args || [];
+  const env = config.env || {};
+  const violations = [];
+  if (!Array.isArray(args) || args.some((arg) => typeof arg !== 'string')) {
+    return ['args must be an array of strings'];
+  }
+
+  if (url) {
+    if (Array.isArray(policy.urls) && !matchesAny(url, policy.urls)) {
+      violations.push(`URL ${url} is not allowed`);
+    }
+    return violations;
+  }
+
+  if (!command) {
+    return violations;
+  }
+
+  // Commands are matched by name only, paths could point anywhere
+  const rule = Object.prototype.hasOwnProperty.call(policy.commands, command)
+    ? policy.commands[command]
+    : null;
+  if (!rule) {
+    return [`Command ${command} is not allowed`];
+  }
+
+  const isRunner = Object.prototype.hasOwnProperty.call(PACKAGE_RUNNERS, command);
+  if (isRunner && Array.isArray(rule.packages)) {
+    violations.push(...checkRunnerArgs(command, args, rule.packages));
+  } else if (command === 'docker') {
+    violations.push(...checkDockerArgs(args, rule));
+  } else if (Array.isArray(rule.args)) {
+    const workingDirectory = getWorkingDirectory(policy, config) || process.cwd();
+    for (const arg of args) {
+      if (!matchesAny(resolvePathArg(arg, workingDirectory), rule.args, false)) {
+        violations.push(`Argument ${arg} is not allowed for ${command}`);
+      }
+    }
+  }
+
+  for (const name of Object.keys(env)) {
+    if (matchesAny(name, policy.blockedEnv)) {
+      violations.push(`Environment variable ${name} is not allowed`);
+    }
+  }
+
+  if (cwd && policy.cwd) {
+    const relative = path.relative(policy.cwd, path.resolve(policy.cwd, cwd));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      violations.push(`Working directory ${cwd} is outside ${policy.cwd}`);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Check a client configuration against the policy both as it is written and
+ * with its `${secret:NAME}` placeholders filled in, so a secret can't bring
+ * in an argument, package or env var the policy would reject
+ * @param {object|null} policy The policy, or null when no policy is active
+ * @param {object} config Client configuration from /start
+ * @param {Function} resolve Returns the configuration with secrets filled in, see resolveSecrets
+ * @returns {string[]} Violations, with secret values masked
+ */
+function checkPolicyWithSecrets(policy, config, resolve) {
+  const violations = checkPolicy(policy, config);
+  if (!policy || violations.length > 0) {
+    return violations;
+  }
+  let resolved;
+  try {
+    resolved = resolve(config);
+  } catch (error) {
+    return [error.message];
+  }
+  return checkPolicy(policy, resolved).map(maskValues);
+}
+
+/**
+ * Resolve the working directory a stdio server is spawned in
+ * @param {object|null} policy The policy, or null when no policy is active
+ * @param {object} config Client configuration from /start
+ * @returns {string|undefined} Absolute working directory, or undefined for the connector's own
+ */
+function getWorkingDirectory(policy, config) {
+  if (policy && policy.cwd) {
+    return path.resolve(policy.cwd, config.cwd || '.');
+  }
+  return config.cwd;
+}
+
+module.exports = {
+  loadPolicy,
+  checkPolicy,
+  checkPolicyWithSecrets,
+  getWorkingDirectory,
+};
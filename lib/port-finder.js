@@ -1,4 +1,5 @@
 const net = require('net');
+const { logger } = require('./logger');
 
 // List of ports to try in order
 const PORTS = [50880, 50881, 3000, 8080, 8000];
@@ -13,12 +14,12 @@ function isPortAvailable(port) {
     const server = net.createServer();
 
     server.once('error', (err) => {
-      console.log(`Port ${port} is not available: ${err.message}`);
+      logger.debug('Port is not available', { port, error: err });
       resolve(false);
     });
 
     server.once('listening', () => {
-      console.log(`Port ${port} is available`);
+      logger.debug('Port is available', { port });
       server.close();
       resolve(true);
     });
@@ -35,14 +36,14 @@ async function findAvailablePort() {
   // If PORT environment variable is set, use it directly
   if (process.env.PORT) {
     const envPort = parseInt(process.env.PORT, 10);
-    console.log(`Using environment-provided port: ${envPort}`);
+    logger.info('Using environment-provided port', { port: envPort });
     
     // Skip availability check on cloud platforms like Render
     // as they guarantee the PORT they provide is available
     return envPort;
   }
 
-  console.log('No PORT environment variable set, checking available ports...');
+  logger.info('No PORT environment variable set, checking available ports...');
   
   // Try the predefined ports for local development
   for (const port of PORTS) {
@@ -51,7 +52,7 @@ async function findAvailablePort() {
     }
   }
   
-  console.log('No available ports found from the predefined list');
+  logger.warn('No available ports found from the predefined list');
   return null;
 }
 
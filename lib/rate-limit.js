@@ -0,0 +1,132 @@
+// Default limits, in requests per window; 0 disables a limit
+const DEFAULT_WINDOW_MS = parseInt(process.env.MCP_RATE_LIMIT_WINDOW_MS || '60000', 10);
+const DEFAULT_LIMITS = {
+  // Tool calls per token, over all clients
+  calls: parseInt(process.env.MCP_RATE_LIMIT_CALLS || '600', 10),
+  // Calls of one tool of one client, over all tokens
+  toolCalls: parseInt(process.env.MCP_RATE_LIMIT_TOOL_CALLS || '300', 10),
+  // /start and /restart requests per token, each may spawn processes
+  admin: parseInt(process.env.MCP_RATE_LIMIT_ADMIN || '20', 10),
+};
+
+/**
+ * Fixed-window request counter per key
+ */
+class RateLimiter {
+  /**
+   * @param {number} limit Requests allowed per window
+   * @param {number} windowMs Window length in milliseconds
+   */
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windows = new Map();
+  }
+
+  /**
+   * Count requests against a key
+   * @param {string} key What is limited, e.g. a token name
+   * @param {number} [cost=1] Number of requests to count
+   * @returns {{allowed: boolean, limit: number, remaining: number, resetMs: number}}
+   */
+  hit(key, cost = 1) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      this.prune(now);
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    // Rejected requests don't use up quota
+    const allowed = window.count + cost <= this.limit;
+    if (allowed) {
+      window.count += cost;
+    }
+    return {
+      allowed,
+      limit: this.limit,
+      remaining: this.limit - window.count,
+      resetMs: window.resetAt - now,
+    };
+  }
+
+  /**
+   * Forget expired windows so idle keys don't accumulate
+   * @param {number} now Current time in milliseconds
+   */
+  prune(now) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Create the rate limiters, skipping disabled ones
+ * @param {object} [options] Limits overriding the defaults, and `windowMs`
+ * @returns {{calls: RateLimiter|null, toolCalls: RateLimiter|null, admin: RateLimiter|null}}
+ */
+function createRateLimiters({ windowMs = DEFAULT_WINDOW_MS, ...limits } = {}) {
+  const result = {};
+  for (const [name, defaultLimit] of Object.entries(DEFAULT_LIMITS)) {
+    const limit = limits[name] !== undefined ? limits[name] : defaultLimit;
+    result[name] = limit > 0 ? new RateLimiter(limit, windowMs) : null;
+  }
+  return result;
+}
+
+/**
+ * Set the quota headers, keeping the most restrictive of several limits
+ * @param {object} res Express response
+ * @param {object} status Result of RateLimiter#hit
+ */
+function setRateLimitHeaders(res, status) {
+  const previous = res.locals.rateLimit;
+  if (previous && previous.remaining <= status.remaining) {
+    return;
+  }
+  res.locals.rateLimit = status;
+  res.set({
+    'X-RateLimit-Limit': String(status.limit),
+    'X-RateLimit-Remaining': String(Math.max(status.remaining, 0)),
+    'X-RateLimit-Reset': String(Math.ceil(status.resetMs / 1000)),
+  });
+}
+
+/**
+ * Middleware rejecting requests over a limit with 429
+ * @param {RateLimiter|null} limiter The limiter, null when the limit is disabled
+ * @param {Function} getKey Returns the key to count the request against
+ * @param {Function} [getCost] Returns the number of requests the request counts as
+ * @returns {Function} Express middleware function
+ */
+function rateLimitMiddleware(limiter, getKey, getCost = () => 1) {
+  return (req, res, next) => {
+    if (!limiter) {
+      return next();
+    }
+
+    const status = limiter.hit(getKey(req), getCost(req));
+    if (!status.allowed) {
+      // Report the limit that was hit, even if another one is lower
+      res.locals.rateLimit = null;
+      setRateLimitHeaders(res, status);
+      res.set('Retry-After', String(Math.ceil(status.resetMs / 1000)));
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        details: `Limit of ${status.limit} requests per ${limiter.windowMs / 1000}s, retry in ${Math.ceil(status.resetMs / 1000)}s`,
+      });
+    }
+    setRateLimitHeaders(res, status);
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiters,
+  rateLimitMiddleware,
+  setRateLimitHeaders,
+};
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { addMaskedValue } = require('./logger');
+const { writeFileAtomic } = require('./state');
+
+// Used when neither a secrets file nor a state directory is set
+const DEFAULT_SECRETS_FILE = path.join(os.homedir(), '.typingmind-mcp', 'secrets.json');
+
+// Name of the secrets file inside a state directory
+const SECRETS_FILE_NAME = 'secrets.json';
+
+// Without MCP_SECRETS_KEY the key is generated and kept next to the secrets
+// file, so the file alone doesn't give the values away
+const KEY_FILE_SUFFIX = '.key';
+
+const CIPHER = 'aes-256-gcm';
+
+// Secret names, also used in `${secret:NAME}` placeholders
+const NAME_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+// `${secret:NAME}` placeholders in env values, args and headers
+const PLACEHOLDER_PATTERN = /\$\{secret:([^}]*)\}/g;
+
+/**
+ * Get the path of the secrets file
+ * @param {object} [options]
+ * @param {string} [options.secretsFile] Explicit path, also read from MCP_SECRETS_FILE
+ * @param {string} [options.stateDir] State directory the file is kept in otherwise
+ * @returns {string} Path to the secrets file
+ */
+function getSecretsFile({ secretsFile, stateDir } = {}) {
+  if (secretsFile || process.env.MCP_SECRETS_FILE) {
+    return secretsFile || process.env.MCP_SECRETS_FILE;
+  }
+  return stateDir ? path.join(stateDir, SECRETS_FILE_NAME) : DEFAULT_SECRETS_FILE;
+}
+
+/**
+ * Check a secret name
+ * @param {string} name The name
+ */
+function validateSecretName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(
+      'Secret names must start with a letter or underscore and only contain letters, digits, _ . and -'
+    );
+  }
+}
+
+/**
+ * Create the encrypted store of secrets referenced from server configs.
+ * Every value is encrypted with AES-256-GCM, using a key derived from
+ * MCP_SECRETS_KEY or from a key file created next to the secrets file.
+ * @param {string} file Path to the secrets file, created on the first set()
+ * @returns {object} The secret store
+ */
+function createSecretStore(file) {
+  const keyFile = `${file}${KEY_FILE_SUFFIX}`;
+  let data = { version: 1, salt: crypto.randomBytes(16).toString('hex'), secrets: {} };
+  if (fs.existsSync(file)) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read secrets file ${file}: ${error.message}`);
+    }
+  }
+
+  // The key is only needed, and the key file only created, once there are secrets
+  let key = null;
+  const getKey = () => {
+    if (!key) {
+      let passphrase = process.env.MCP_SECRETS_KEY;
+      if (!passphrase) {
+        if (!fs.existsSync(keyFile)) {
+          fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+          fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+        }
+        passphrase = fs.readFileSync(keyFile, 'utf8').trim();
+      }
+      key = crypto.scryptSync(passphrase, Buffer.from(data.salt, 'hex'), 32);
+    }
+    return key;
+  };
+
+  // The name is authenticated too, so values can't be swapped between names
+  const encrypt = (name, value) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, getKey(), iv);
+    cipher.setAAD(Buffer.from(name));
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      data: encrypted.toString('hex'),
+    };
+  };
+  const decrypt = (name, { iv, tag, data: encrypted }) => {
+    const decipher = crypto.createDecipheriv(CIPHER, getKey(), Buffer.from(iv, 'hex'));
+    decipher.setAAD(Buffer.from(name));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'hex')),
+      decipher.final(),
+    ]).toString('utf8');
+  };
+
+  // Decrypt everything up front, so a wrong key fails at startup and the
+  // values can be masked in logs
+  const values = new Map();
+  for (const [name, entry] of Object.entries(data.secrets)) {
+    try {
+      values.set(name, decrypt(name, entry));
+    } catch (error) {
+      throw new Error(
+        `Failed to decrypt secret ${name} in ${file}, check MCP_SECRETS_KEY or ${keyFile}`
+      );
+    }
+    addMaskedValue(values.get(name));
+  }
+
+  const save = () => writeFileAtomic(file, JSON.stringify(data, null, 2));
+
+  return {
+    file,
+
+    /**
+     * Get the value of a secret
+     * @param {string} name Secret name
+     * @returns {string|undefined}
+     */
+    get(name) {
+      return values.get(name);
+    },
+
+    /**
+     * List the secrets without their values
+     * @returns {Array<{name: string, updatedAt: string}>}
+     */
+    list() {
+      return Object.entries(data.secrets)
+        .map(([name, { updatedAt }]) => ({ name, updatedAt }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Add or replace a secret
+     * @param {string} name Secret name
+     * @param {string} value Secret value
+     * @returns {boolean} True if the secret is new
+     */
+    set(name, value) {
+      validateSecretName(name);
+      if (typeof value !== 'string' || value === '') {
+        throw new Error('Secret value must be a non-empty string');
+      }
+      const created = !values.has(name);
+      data.secrets[name] = { ...encrypt(name, value), updatedAt: new Date().toISOString() };
+      save();
+      values.set(name, value);
+      addMaskedValue(value);
+      return created;
+    },
+
+    /**
+     * Delete a secret
+     * @param {string} name Secret name
+     * @returns {boolean} False if there was no such secret
+     */
+    delete(name) {
+      if (!values.has(name)) {
+        return false;
+      }
+      delete data.secrets[name];
+      save();
+      values.delete(name);
+      return true;
+    },
+  };
+}
+
+/**
+ * Replace `${secret:NAME}` placeholders in the env values, args and headers
+ * of a client configuration. Only used right before a transport is created,
+ * the configuration that is stored, compared and returned keeps the placeholders.
+ * @param {object} config Client configuration from /start
+ * @param {object} store The secret store
+ * @returns {object} A copy of the configuration with the values filled in
+ */
+function resolveSecrets(config, store) {
+  const missing = new Set();
+  const resolve = (value) =>
+    typeof value === 'string'
+      ? value.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+          const secret = store.get(name);
+          if (secret === undefined) {
+            missing.add(name);
+            return placeholder;
+          }
+          return secret;
+        })
+      : value;
+  const resolveValues = (object) =>
+    object &&
+    Object.fromEntries(Object.entries(object).map(([key, value]) => [key, resolve(value)]));
+
+  const resolved = {
+    ...config,
+    args: config.args && config.args.map(resolve),
+    env: resolveValues(config.env),
+    headers: resolveValues(config.headers),
+  };
+  if (missing.size > 0) {
+    throw new Error(`Secret(s) not set: ${Array.from(missing).join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Express handler for GET /secrets, listing names and update times
+ * @param {object} store The secret store
+ * @returns {Function} Express handler
+ */
+function listSecretsHandler(store) {
+  return (req, res) => {
+    res.status(200).json(store.list());
+  };
+}
+
+/**
+ * Express handler for PUT /secrets/:name; body: `{ value }`
+ * @param {object} store The secret store
+ * @param {Function} [onChange] Called with the request and the action after a change
+ * @returns {Function} Express handler
+ */
+function setSecretHandler(store, onChange) {
+  return (req, res) => {
+    const { name } = req.params;
+    const { value } = req.body || {};
+    let created;
+    try {
+      created = store.set(name, value);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (onChange) {
+      onChange(req, 'set_secret');
+    }
+    res.status(created ? 201 : 200).json({
+      message: `Secret ${name} ${created ? 'created' : 'updated'}`,
+    });
+  };
+}
+
+/**
+ * Express handler for DELETE /secrets/:name
+ * @param {object} store The secret store
+ * @param {Function} [onChange] Called with the request and the action after a change
+ * @returns {Function} Express handler
+ */
+function deleteSecretHandler(store, onChange) {
+  return (req, res) => {
+    const { name } = req.params;
+    if (!store.delete(name)) {
+      return res.status(404).json({ error: 'Secret not found' });
+    }
+    if (onChange) {
+      onChange(req, 'delete_secret');
+    }
+    res.status(200).json({ message: `Secret ${name} deleted` });
+  };
+}
+
+module.exports = {
+  getSecretsFile,
+  createSecretStore,
+  resolveSecrets,
+  listSecretsHandler,
+  setSecretHandler,
+  deleteSecretHandler,
+};
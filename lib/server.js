@@ -2,123 +2,677 @@ const express = require('express');
 const stringify = require('json-stable-stringify');
 const cors = require('cors');
 const fs = require('fs');
+const crypto = require('crypto');
 const https = require('https');
+const path = require('path');
+const { logger, redactUrl } = require('./logger');
 const { findAvailablePort } = require('./port-finder');
-const { authMiddleware } = require('./auth');
+const {
+  createTokenStore,
+  authMiddleware,
+  canAccessClient,
+} = require('./auth');
 const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { getTransportCandidates, createTransport } = require('./transports');
+const { CLIENT_STATES, superviseClient } = require('./supervisor');
+const { LogBuffer } = require('./log-buffer');
+const { CallQueue } = require('./call-queue');
+const {
+  publishEvent,
+  forwardNotifications,
+  eventsHandler,
+} = require('./events');
+const { mcpProxyHandler } = require('./mcp-proxy');
+const {
+  watchClients,
+  observeToolCall,
+  observeClientStartup,
+  observeClientRestart,
+  httpMetricsMiddleware,
+  metricsHandler,
+} = require('./metrics');
+const { loadPolicy, checkPolicyWithSecrets, getWorkingDirectory } = require('./policy');
+const {
+  validateToolRules,
+  isToolEnabled,
+  applyToolRules,
+  validateToolArguments,
+} = require('./tool-rules');
+const {
+  getStateFile,
+  readMcpServersFile,
+  writeMcpServersFile,
+} = require('./state');
+const { createAuditLog, auditHandler } = require('./audit');
+const {
+  createRateLimiters,
+  rateLimitMiddleware,
+  setRateLimitHeaders,
+} = require('./rate-limit');
+const {
+  MAX_UPLOAD_BYTES,
+  createFileStore,
+  signedUrlMiddleware,
+  uploadHandler,
+  downloadHandler,
+  signHandler,
+} = require('./files');
 const {
-  StdioClientTransport,
-  getDefaultEnvironment,
-} = require('@modelcontextprotocol/sdk/client/stdio.js');
+  normalizeRoots,
+  PendingRequests,
+  getRequestCapabilities,
+  handleServerRequests,
+  pendingRequestsHandler,
+  replyHandler,
+} = require('./client-requests');
+const {
+  getSecretsFile,
+  createSecretStore,
+  resolveSecrets,
+  listSecretsHandler,
+  setSecretHandler,
+  deleteSecretHandler,
+} = require('./secrets');
 
 // Store active MCP clients
 const clients = new Map();
 
-// Helper function to start a client with given configuration
-async function startClient(clientId, config) {
-  const startTime = Date.now();
-  console.log(`[${new Date().toISOString()}] Starting MCP client: ${clientId}`);
-  
-  const { command, args = [], env = {} } = config;
-
-  if (!command) {
-    throw new Error('Command is required');
-  }
-
-  // Log the exact command being executed
-  console.log(`[${new Date().toISOString()}] Command: ${command}`);
-  console.log(`[${new Date().toISOString()}] Args: ${JSON.stringify(args)}`);
-  console.log(`[${new Date().toISOString()}] Environment variables count: ${Object.keys(env).length}`);
-  
-  // Log environment variables (without sensitive values)
-  Object.keys(env).forEach(key => {
-    const value = key.toLowerCase().includes('key') || key.toLowerCase().includes('token') 
-      ? '[REDACTED]' 
-      : env[key];
-    console.log(`[${new Date().toISOString()}] ENV ${key}: ${value}`);
-  });
-
-  console.log(`[${new Date().toISOString()}] Creating StdioClientTransport...`);
-  const transportStartTime = Date.now();
+// Store captured stderr output per client ID, kept across restarts
+const clientLogs = new Map();
+
+// Last accepted server configurations, keyed by client ID, and the file they
+// are persisted to (null when persistence is disabled)
+let savedServers = {};
+let stateFile = null;
+
+// Policy restricting what /start may run (null when no policy file is set)
+let policy = null;
+
+// Audit log of tool calls and client changes (null when auditing is disabled)
+let auditLog = null;
+
+// Artifacts directory, passed to stdio servers as MCP_FILES_DIR
+let filesDir = null;
+
+// Secrets referenced from server configs as ${secret:NAME}
+let secretStore = null;
+
+// Sampling and elicitation requests from servers, waiting for TypingMind
+const pendingRequests = new PendingRequests();
+
+// Most calls accepted by /call_tools/batch in one request
+const MAX_BATCH_CALLS = parseInt(process.env.MCP_MAX_BATCH_CALLS || '100', 10);
+
+// Default timeouts, overridable per server with `connectTimeoutMs` and `timeoutMs`
+const DEFAULT_CONNECT_TIMEOUT_MS = parseInt(
+  process.env.MCP_CONNECT_TIMEOUT_MS || '300000', // enough time for npm install and build
+  10
+);
+const DEFAULT_TOOL_TIMEOUT_MS = parseInt(
+  process.env.MCP_TOOL_TIMEOUT_MS || '300000',
+  10
+);
+
+// Time /clients waits for each client's tool list before reporting an error
+const LIST_TIMEOUT_MS = parseInt(process.env.MCP_LIST_TIMEOUT_MS || '5000', 10);
+
+// Lists cached per client: the Client method, the server capability it needs
+// and the notification that invalidates it
+const LIST_KINDS = {
+  tools: {
+    method: 'listTools',
+    capability: 'tools',
+    notification: 'notifications/tools/list_changed',
+  },
+  resources: {
+    method: 'listResources',
+    capability: 'resources',
+    notification: 'notifications/resources/list_changed',
+  },
+  prompts: {
+    method: 'listPrompts',
+    capability: 'prompts',
+    notification: 'notifications/prompts/list_changed',
+  },
+};
 
-  // Create transport for the MCP client
-  const transport = new StdioClientTransport({
-    command,
-    args,
-    env:
-      Object.values(env).length > 0
-        ? {
-            // see https://github.com/modelcontextprotocol/typescript-sdk/issues/216
-            ...getDefaultEnvironment(),
-            ...env,
-          }
-        : undefined, // cannot be {}, it will cause error
-  });
+// Number of stderr lines included in startup errors
+const STARTUP_ERROR_LOG_LINES = 20;
 
-  console.log(`[${new Date().toISOString()}] Transport created in ${Date.now() - transportStartTime}ms`);
+// Helper function to get (or create) the log buffer for a client
+function getClientLogs(clientId) {
+  if (!clientLogs.has(clientId)) {
+    clientLogs.set(clientId, new LogBuffer());
+  }
+  return clientLogs.get(clientId);
+}
 
-  // Create and initialize the client
-  console.log(`[${new Date().toISOString()}] Creating MCP Client...`);
-  const client = new Client({
+// Helper function to create an MCP client instance
+function createClient(clientId, config) {
+  return new Client({
     name: `mcp-http-bridge-${clientId}`,
     version: '1.0.0',
-    timeout: 300000 // 5 minutes timeout
   }, {
     capabilities: {
       tools: {},
       resources: {},
-      prompts: {}
+      prompts: {},
+      // Served by handleServerRequests, see lib/client-requests.js
+      ...getRequestCapabilities(config),
     }
   });
+}
+
+// Helper function to validate an optional timeout value in milliseconds
+function parseTimeout(value, name, defaultValue) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`${name} must be a positive number of milliseconds`);
+  }
+  return value;
+}
+
+// Helper function to validate an optional count, e.g. a concurrency limit
+function parseLimit(value, name, min) {
+  if (value === undefined || value === null) {
+    return Infinity;
+  }
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be an integer of at least ${min}`);
+  }
+  return value;
+}
+
+// Helper function to create the queue limiting a client's concurrent tool
+// calls, many stdio servers handle one request at a time
+function createCallQueue(config) {
+  return new CallQueue({
+    maxConcurrency: parseLimit(config.maxConcurrency, 'maxConcurrency', 1),
+    maxQueue: parseLimit(config.maxQueue, 'maxQueue', 0),
+  });
+}
 
-  // Add timeout wrapper for better error reporting
-  console.log(`[${new Date().toISOString()}] Attempting to connect to transport...`);
+// Helper function to connect a client over a transport, with a timeout
+async function connectClient(clientId, client, transport, target, timeoutMs) {
+  // Create a promise that rejects after a custom timeout with detailed info
   const connectStartTime = Date.now();
-  
-  try {
-    // Create a promise that rejects after a custom timeout with detailed info
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
-        const elapsed = Date.now() - connectStartTime;
-        reject(new Error(`Connection timeout after ${elapsed}ms. Client: ${clientId}, Command: ${command} ${args.join(' ')}`));
-      }, 300000); // 5 minutes - enough time for npm install and build
-    });
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const elapsed = Date.now() - connectStartTime;
+      reject(new Error(`Connection timeout after ${elapsed}ms. Client: ${clientId}, Target: ${target}`));
+    }, timeoutMs);
+  });
 
-    // Race between connection and timeout
+  try {
+    // Race between connection and timeout. The initialize request gets the
+    // same timeout, the SDK default is too short for slow-starting servers.
     await Promise.race([
-      client.connect(transport),
+      client.connect(transport, { timeout: timeoutMs }),
       timeoutPromise
     ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-    const connectTime = Date.now() - connectStartTime;
-    const totalTime = Date.now() - startTime;
-    console.log(`[${new Date().toISOString()}] ✅ Client connected successfully!`);
-    console.log(`[${new Date().toISOString()}] Connection time: ${connectTime}ms`);
-    console.log(`[${new Date().toISOString()}] Total startup time: ${totalTime}ms`);
+// Helper function to list every item of a kind, following pagination
+async function listAll(clientEntry, kind) {
+  const { method, capability } = LIST_KINDS[kind];
+
+  // Servers without the capability have nothing to list
+  if (!clientEntry.client.getServerCapabilities()?.[capability]) {
+    return [];
+  }
+
+  const items = [];
+  let cursor;
+  do {
+    const result = await clientEntry.client[method](
+      cursor ? { cursor } : undefined,
+      { timeout: clientEntry.timeoutMs }
+    );
+    items.push(...(result[kind] || []));
+    cursor = result.nextCursor;
+  } while (cursor);
+  return items;
+}
+
+// Helper function to get a cached list, fetching it on first use.
+// The promise is cached so concurrent requests share one fetch.
+function getCachedList(clientEntry, kind) {
+  // An idle client keeps the lists of its last run, one that never ran starts:
+  // callers only find the tools they can call through these lists
+  if (!clientEntry.lists[kind] && clientEntry.state === CLIENT_STATES.IDLE) {
+    return wakeClient(clientEntry).then((entry) => getCachedList(entry, kind));
+  }
+  if (!clientEntry.lists[kind]) {
+    const promise = listAll(clientEntry, kind).catch((error) => {
+      // Don't cache failures, the next request tries again
+      if (clientEntry.lists[kind] === promise) {
+        clientEntry.lists[kind] = null;
+      }
+      throw error;
+    });
+    clientEntry.lists[kind] = promise;
+  }
+  return clientEntry.lists[kind];
+}
 
+// Helper function to drop a cached list so the next request refetches it
+function invalidateList(clientEntry, kind) {
+  clientEntry.lists[kind] = null;
+}
+
+// Helper function to reject a promise that takes longer than timeoutMs
+function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() =>
+    clearTimeout(timer)
+  );
+}
+
+// Helper function to persist the accepted server configurations
+function saveServers() {
+  if (!stateFile) {
+    return;
+  }
+
+  try {
+    writeMcpServersFile(stateFile, savedServers);
   } catch (error) {
-    const elapsed = Date.now() - startTime;
-    console.error(`[${new Date().toISOString()}] ❌ Connection failed after ${elapsed}ms`);
-    console.error(`[${new Date().toISOString()}] Error details:`, error.message);
-    console.error(`[${new Date().toISOString()}] Client: ${clientId}`);
-    console.error(`[${new Date().toISOString()}] Command: ${command} ${args.join(' ')}`);
-    throw error;
+    logger.error('Failed to save client configuration', { file: stateFile, error });
+  }
+}
+
+// Helper function to record an action in the audit log, with who made the request
+function audit(req, entry) {
+  if (!auditLog) {
+    return;
+  }
+  auditLog.record({
+    requestId: req.id,
+    tokenName: req.authToken.name,
+    ...entry,
+  });
+}
+
+// Helper function to start the saved and preloaded clients at boot
+async function restoreClients(mcpServers) {
+  const ids = Object.keys(mcpServers);
+  if (ids.length === 0) {
+    return;
+  }
+
+  logger.info('Restoring MCP clients', { clientIds: ids });
+  await Promise.all(
+    ids.map(async (id) => {
+      try {
+        await startClient(id, mcpServers[id]);
+      } catch (error) {
+        logger.error('Failed to restore client', { clientId: id, error });
+      }
+    })
+  );
+}
+
+// Helper function to build the public description of a client
+function describeClient(clientEntry) {
+  const {
+    id,
+    command,
+    args,
+    url,
+    transportType,
+    createdAt,
+    state,
+    restartCount,
+    lastExitReason,
+    queue,
+  } = clientEntry;
+
+  return {
+    id,
+    command,
+    args,
+    url,
+    transport: transportType,
+    createdAt,
+    state,
+    restartCount,
+    lastExitReason,
+    inFlightCalls: queue.inFlight,
+    queuedCalls: queue.queued,
+  };
+}
+
+// Helper function to close a client on purpose and forget about it
+async function stopClient(clientId) {
+  const clientEntry = clients.get(clientId);
+  if (!clientEntry) {
+    return;
+  }
+
+  // Mark the entry so the supervisor doesn't treat the close as a crash
+  clientEntry.closing = true;
+  if (clientEntry.cancelRestart) {
+    clientEntry.cancelRestart();
+  }
+  clearTimeout(clientEntry.idleTimer);
+  clients.delete(clientId);
+  pendingRequests.cancelClient(clientId, 'MCP client was stopped');
+
+  // Idle clients have nothing running
+  if (clientEntry.client) {
+    await clientEntry.client.close();
+  }
+}
+
+// Helper function to create the entry of a client that isn't running
+function createIdleEntry(clientId, config, previous) {
+  return {
+    id: clientId,
+    client: null,
+    transport: null,
+    transportType: previous ? previous.transportType : null,
+    command: config.command,
+    args: config.args || [],
+    env: config.env || {},
+    url: config.url,
+    config,
+    calls: new Map(),
+    queue: createCallQueue(config),
+    // Keep the lists so listing tools doesn't start the client again
+    lists: previous ? previous.lists : {},
+    createdAt: new Date(),
+    state: CLIENT_STATES.IDLE,
+    restartCount: previous ? previous.restartCount : 0,
+    consecutiveRestarts: 0,
+    lastExitReason: previous ? previous.lastExitReason : null,
+  };
+}
+
+// Helper function to start an idle client, concurrent callers share one start.
+// Resolves to the new entry.
+function wakeClient(clientEntry) {
+  if (!clientEntry.waking) {
+    clientEntry.waking = startClient(clientEntry.id, clientEntry.config, clientEntry)
+      .then(() => clients.get(clientEntry.id))
+      .finally(() => {
+        clientEntry.waking = null;
+      });
+  }
+  return clientEntry.waking;
+}
+
+// Helper function to get a running entry for a client that is about to be
+// used, starting it if it's idle
+async function getRunningClient(clientEntry) {
+  const runningEntry =
+    clientEntry.state === CLIENT_STATES.IDLE
+      ? await wakeClient(clientEntry)
+      : clientEntry;
+  touchClient(runningEntry);
+  return runningEntry;
+}
+
+// Helper function to record that a client was used, restarting its idle timer
+function touchClient(clientEntry) {
+  if (!clientEntry.idleTimeoutMs) {
+    return;
+  }
+  clientEntry.lastUsedAt = Date.now();
+  if (!clientEntry.idleTimer) {
+    scheduleIdleCheck(clientEntry, clientEntry.idleTimeoutMs);
+  }
+}
+
+// Helper function to stop a client once it has been unused for idleTimeoutMs
+function scheduleIdleCheck(clientEntry, delay) {
+  clientEntry.idleTimer = setTimeout(() => {
+    clientEntry.idleTimer = null;
+    if (clients.get(clientEntry.id) !== clientEntry) {
+      return;
+    }
+
+    const { queue, idleTimeoutMs, lastUsedAt } = clientEntry;
+    const idleFor = Date.now() - lastUsedAt;
+    if (queue.inFlight > 0 || queue.queued > 0) {
+      scheduleIdleCheck(clientEntry, idleTimeoutMs);
+    } else if (idleFor < idleTimeoutMs) {
+      scheduleIdleCheck(clientEntry, idleTimeoutMs - idleFor);
+    } else if (clientEntry.state === CLIENT_STATES.RUNNING) {
+      idleClient(clientEntry).catch((error) => {
+        logger.error('Error stopping idle client', { clientId: clientEntry.id, error });
+      });
+    }
+  }, delay);
+}
+
+// Helper function to stop an unused client, keeping it registered so the
+// next call starts it again
+async function idleClient(clientEntry) {
+  logger.info('Stopping idle MCP client', {
+    clientId: clientEntry.id,
+    idleTimeoutMs: clientEntry.idleTimeoutMs,
+  });
+  clientEntry.closing = true;
+  if (clientEntry.cancelRestart) {
+    clientEntry.cancelRestart();
+  }
+  clients.set(
+    clientEntry.id,
+    createIdleEntry(clientEntry.id, clientEntry.config, clientEntry)
+  );
+  pendingRequests.cancelClient(clientEntry.id, 'MCP client was stopped');
+  await clientEntry.client.close();
+}
+
+// Helper function to fill in the secrets of a client configuration
+function resolveClientSecrets(config) {
+  return secretStore ? resolveSecrets(config, secretStore) : config;
+}
+
+// Helper function to start a client with given configuration.
+// `previous` is the crashed entry when called by the supervisor, or the idle
+// entry when the client is woken up.
+async function startClient(clientId, config, previous) {
+  const startTime = Date.now();
+  const log = logger.child({ clientId });
+
+  const { command, args = [], env = {}, url, headers = {} } = config;
+  const candidates = getTransportCandidates(config);
+  validateToolRules(config);
+  normalizeRoots(config.roots);
+  getRequestCapabilities(config);
+
+  // Also checked by /start, this covers restored and restarted clients
+  const violations = checkPolicyWithSecrets(policy, config, resolveClientSecrets);
+  if (violations.length > 0) {
+    throw new Error(`Not allowed by policy: ${violations.join('; ')}`);
+  }
+  // Secrets are only filled in here, the entry keeps the placeholders
+  const resolvedConfig = resolveClientSecrets(config);
+  const resolvedEnv = resolvedConfig.env || {};
+  const transportConfig = {
+    ...resolvedConfig,
+    cwd: getWorkingDirectory(policy, config),
+    // Tells servers where to write files that should be served by /files
+    env: filesDir ? { MCP_FILES_DIR: filesDir, ...resolvedEnv } : resolvedEnv,
+  };
+  const connectTimeoutMs = parseTimeout(
+    config.connectTimeoutMs,
+    'connectTimeoutMs',
+    DEFAULT_CONNECT_TIMEOUT_MS
+  );
+  const timeoutMs = parseTimeout(
+    config.timeoutMs,
+    'timeoutMs',
+    DEFAULT_TOOL_TIMEOUT_MS
+  );
+  const idleTimeoutMs = parseTimeout(config.idleTimeoutMs, 'idleTimeoutMs', null);
+  const queue = createCallQueue(config);
+
+  // Lazy clients are only registered here, the first call starts them
+  if (config.lazy && !previous) {
+    clients.set(clientId, createIdleEntry(clientId, config, null));
+    log.info('Registered lazy MCP client');
+    return {
+      id: clientId,
+      message: 'MCP client registered, it starts on first use',
+    };
+  }
+  log.info('Starting MCP client');
+
+  // Describes what we connect to, used in logs and errors
+  const target = command ? `${command} ${args.join(' ')}` : url;
+
+  if (command) {
+    // Log the exact command being executed, the logger redacts sensitive values
+    log.info('Command', { command, args, cwd: transportConfig.cwd, env });
+  } else {
+    // Header values usually carry credentials, so only log the names
+    log.info('Remote server', { url, headers: Object.keys(headers) });
+  }
+
+  let client;
+  let transport;
+  let transportType;
+
+  for (const [index, type] of candidates.entries()) {
+    log.debug('Creating transport', { transport: type });
+
+    // Create transport and client for this attempt; a failed connection
+    // leaves the client unusable, so each attempt gets a fresh one
+    transport = createTransport(type, transportConfig);
+    if (transport.stderr) {
+      const logs = getClientLogs(clientId);
+      transport.stderr.on('data', (chunk) => {
+        for (const line of logs.write(chunk)) {
+          log.info(line, { stream: 'stderr' });
+        }
+      });
+    }
+    client = createClient(clientId, config);
+    handleServerRequests(clientId, client, {
+      config,
+      // Roots can change without a restart, so read them from the current entry
+      getRoots: () => {
+        const clientEntry = clients.get(clientId);
+        return normalizeRoots(
+          clientEntry && clientEntry.client === client ? clientEntry.config.roots : config.roots
+        );
+      },
+      pendingRequests,
+    });
+    forwardNotifications(clientId, client, (notification) => {
+      const clientEntry = clients.get(clientId);
+      if (!clientEntry || clientEntry.client !== client) {
+        return;
+      }
+      for (const [kind, { notification: method }] of Object.entries(LIST_KINDS)) {
+        if (notification.method === method) {
+          invalidateList(clientEntry, kind);
+        }
+      }
+    });
+
+    log.debug('Connecting', { transport: type });
+    const connectStartTime = Date.now();
+
+    try {
+      await connectClient(clientId, client, transport, target, connectTimeoutMs);
+
+      const connectTime = Date.now() - connectStartTime;
+      const totalTime = Date.now() - startTime;
+      transportType = type;
+      observeClientStartup(clientId, type, 'success', startTime);
+      log.info('Client connected', {
+        transport: type,
+        connectMs: connectTime,
+        totalMs: totalTime,
+      });
+      break;
+    } catch (error) {
+      const elapsed = Date.now() - startTime;
+      log.error('Connection failed', {
+        transport: type,
+        target,
+        elapsedMs: elapsed,
+        error,
+      });
+      await client.close().catch(() => {});
+
+      if (index === candidates.length - 1) {
+        observeClientStartup(clientId, type, 'error', startTime);
+
+        // Attach the last stderr lines, they usually explain the failure
+        if (clientLogs.has(clientId)) {
+          error.stderr = clientLogs
+            .get(clientId)
+            .read({ tail: STARTUP_ERROR_LOG_LINES })
+            .map((entry) => entry.line);
+        }
+        throw error;
+      }
+      log.warn('Falling back to another transport', { transport: candidates[index + 1] });
+    }
+  }
+
+  // The crashed client may have been deleted or replaced while we reconnected
+  if (previous && (previous.closing || clients.get(clientId) !== previous)) {
+    await client.close().catch(() => {});
+    throw new Error(`Client ${clientId} was stopped during restart`);
   }
 
   // Store the client with its ID
-  clients.set(clientId, {
+  const clientEntry = {
     id: clientId,
     client,
     transport,
+    transportType,
     command,
     args,
     env,
+    url,
     config, // Store original config for restart
+    timeoutMs,
+    idleTimeoutMs,
+    calls: new Map(), // In-flight and queued tool calls by call ID, for cancellation
+    queue, // Limits concurrent tool calls
+    lists: {}, // Cached tool, resource and prompt lists
     createdAt: new Date(),
+    state: CLIENT_STATES.RUNNING,
+    restartCount: previous ? previous.restartCount : 0,
+    consecutiveRestarts: previous ? previous.consecutiveRestarts : 0,
+    lastExitReason: previous ? previous.lastExitReason : null,
+  };
+  clients.set(clientId, clientEntry);
+
+  // Fill the list caches in the background so /clients is fast
+  for (const kind of Object.keys(LIST_KINDS)) {
+    getCachedList(clientEntry, kind).catch((error) => {
+      log.error(`Error getting ${kind}`, { error });
+    });
+  }
+
+  // Restart the client automatically if its process or connection dies
+  superviseClient(clientEntry, {
+    isCurrent: (entry) => clients.get(clientId) === entry,
+    restart: (entry) => startClient(clientId, entry.config, entry),
   });
 
+  // Count an unused client as idle from the start
+  touchClient(clientEntry);
+
   const totalTime = Date.now() - startTime;
-  console.log(`[${new Date().toISOString()}] ✅ Client ${clientId} fully initialized in ${totalTime}ms`);
+  log.info('Client fully initialized', { totalMs: totalTime });
 
   return {
     id: clientId,
@@ -126,14 +680,330 @@ async function startClient(clientId, config) {
   };
 }
 
+// Helper function to check whether a new config only changes the roots,
+// which running clients get without a restart
+function onlyRootsChanged(previousConfig, config) {
+  const { roots: previousRoots, ...previousRest } = previousConfig;
+  const { roots, ...rest } = config;
+  return (
+    stringify(previousRest) === stringify(rest) &&
+    stringify(previousRoots) !== stringify(roots)
+  );
+}
+
+// Helper function to give a client new roots and tell its server they changed
+async function updateRoots(clientEntry, config) {
+  normalizeRoots(config.roots);
+  clientEntry.config = config;
+  // Idle clients get the new roots when they start
+  if (clientEntry.client) {
+    await clientEntry.client.sendRootsListChanged();
+  }
+  logger.info('Updated roots', { clientId: clientEntry.id });
+  return {
+    id: clientEntry.id,
+    message: 'MCP client roots updated',
+  };
+}
+
+// Helper function to work out what /start does with each client: start new
+// ones, restart changed or failed ones, update roots in place, leave the rest
+// alone and, in reconcile mode, remove the accessible clients missing from
+// mcpServers
+function planStart(mcpServers, { reconcile, canAccess }) {
+  const plan = { add: [], restart: [], updateRoots: [], remove: [], unchanged: [] };
+
+  for (const [serverId, config] of Object.entries(mcpServers)) {
+    const clientEntry = clients.get(serverId);
+    if (!clientEntry) {
+      plan.add.push(serverId);
+      continue;
+    }
+
+    const hasConfigChanged = stringify(clientEntry.config) !== stringify(config);
+    const hasFailed = clientEntry.state === CLIENT_STATES.FAILED;
+    const canUpdateRoots =
+      (clientEntry.state === CLIENT_STATES.RUNNING ||
+        clientEntry.state === CLIENT_STATES.IDLE) &&
+      onlyRootsChanged(clientEntry.config, config);
+    if (!hasConfigChanged && !hasFailed) {
+      plan.unchanged.push(serverId);
+    } else if (canUpdateRoots) {
+      plan.updateRoots.push(serverId);
+    } else {
+      plan.restart.push(serverId);
+    }
+  }
+
+  if (reconcile) {
+    plan.remove = Array.from(clients.keys()).filter(
+      (clientId) =>
+        !Object.prototype.hasOwnProperty.call(mcpServers, clientId) && canAccess(clientId)
+    );
+  }
+  return plan;
+}
+
+// Helper function to call a tool, shared by /clients/:id/call_tools and
+// /call_tools/batch. Resolves to the HTTP status and response body, and the
+// call ID once one was assigned.
+async function callClientTool(req, id, call) {
+  const { name, arguments: toolArgs } = call;
+
+  if (!name) {
+    return { status: 400, body: { error: 'Tool name is required' } };
+  }
+
+  let clientEntry = clients.get(id);
+  if (!clientEntry) {
+    return { status: 404, body: { error: 'Client not found' } };
+  }
+
+  if (!isToolEnabled(clientEntry.config, name)) {
+    return {
+      status: 403,
+      body: { error: `Tool ${name} is disabled for client ${id}` },
+    };
+  }
+
+  // Idle clients are started by their first call
+  try {
+    clientEntry = await getRunningClient(clientEntry);
+  } catch (error) {
+    return {
+      status: 503,
+      body: {
+        error: 'Failed to start client',
+        details: error.message,
+        stderr: error.stderr,
+      },
+    };
+  }
+
+  let timeoutMs;
+  try {
+    timeoutMs = parseTimeout(
+      call.timeoutMs,
+      'timeoutMs',
+      clientEntry.timeoutMs
+    );
+  } catch (error) {
+    return { status: 400, body: { error: error.message } };
+  }
+
+  // Lets callers match /events progress notifications to this call and
+  // cancel it through /clients/:id/calls/:callId/cancel
+  const callId = call.callId || crypto.randomUUID();
+  if (clientEntry.calls.has(callId)) {
+    return { status: 409, body: { error: `Call ${callId} is already running` } };
+  }
+
+  if (clientEntry.state !== CLIENT_STATES.RUNNING) {
+    return {
+      status: 503,
+      callId,
+      body: {
+        error: `Client is ${clientEntry.state}`,
+        details: clientEntry.lastExitReason,
+      },
+    };
+  }
+
+  // Check the arguments before they reach the server
+  try {
+    const findTool = (tools) =>
+      tools.find((candidate) => candidate.name === name);
+    let tool = findTool(await getCachedList(clientEntry, 'tools'));
+    if (!tool) {
+      // Servers don't always announce list changes, so check a fresh list
+      invalidateList(clientEntry, 'tools');
+      tool = findTool(await getCachedList(clientEntry, 'tools'));
+    }
+    if (!tool) {
+      return { status: 404, callId, body: { error: `Tool ${name} not found` } };
+    }
+
+    const argumentErrors = validateToolArguments(tool, toolArgs || {});
+    if (argumentErrors.length > 0) {
+      return {
+        status: 400,
+        callId,
+        body: { error: 'Invalid tool arguments', details: argumentErrors },
+      };
+    }
+  } catch (error) {
+    req.log.error('Error getting tools', { clientId: id, error });
+    return {
+      status: 500,
+      callId,
+      body: { error: 'Failed to get tools', details: error.message },
+    };
+  }
+
+  if (clientEntry.queue.isFull()) {
+    return {
+      status: 429,
+      callId,
+      body: {
+        error: `Too many calls for client ${id}`,
+        details: `${clientEntry.queue.inFlight} running, ${clientEntry.queue.queued} queued`,
+      },
+    };
+  }
+
+  const controller = new AbortController();
+  clientEntry.calls.set(callId, { name, controller, startedAt: new Date() });
+  const callStartTime = Date.now();
+  const log = req.log.child({ clientId: id, callId, tool: name });
+  log.info('Calling tool', { arguments: toolArgs || {} });
+  const auditCall = (status, details) =>
+    audit(req, {
+      action: 'call_tool',
+      clientId: id,
+      tool: name,
+      callId,
+      arguments: toolArgs || {},
+      status,
+      durationMs: Date.now() - callStartTime,
+      ...details,
+    });
+
+  try {
+    // The timeout starts once the call leaves the queue
+    const result = await clientEntry.queue.run(
+      () =>
+        clientEntry.client.callTool(
+          {
+            name,
+            arguments: toolArgs || {},
+          },
+          undefined,
+          {
+            signal: controller.signal,
+            timeout: timeoutMs,
+            onprogress: (progress) => {
+              publishEvent('notifications/progress', {
+                clientId: id,
+                callId,
+                tool: name,
+                params: progress,
+              });
+            },
+            resetTimeoutOnProgress: true,
+          }
+        ),
+      controller.signal
+    );
+
+    observeToolCall(
+      id,
+      name,
+      result.isError ? 'tool_error' : 'success',
+      callStartTime
+    );
+    log.info('Tool call finished', {
+      isError: Boolean(result.isError),
+      durationMs: Date.now() - callStartTime,
+    });
+    auditCall(result.isError ? 'tool_error' : 'success', {
+      resultSize: Buffer.byteLength(JSON.stringify(result)),
+    });
+    return { status: 200, callId, body: result };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      observeToolCall(id, name, 'cancelled', callStartTime);
+      log.info('Tool call was cancelled');
+      auditCall('cancelled', { error: error.message });
+      return {
+        status: 409,
+        callId,
+        body: { error: 'Tool call was cancelled', details: error.message },
+      };
+    }
+    if (error.code === ErrorCode.RequestTimeout) {
+      observeToolCall(id, name, 'timeout', callStartTime);
+      log.error('Tool call timed out', { timeoutMs });
+      auditCall('timeout', { error: error.message });
+      return {
+        status: 504,
+        callId,
+        body: { error: 'Tool call timed out', details: error.message },
+      };
+    }
+    observeToolCall(id, name, 'error', callStartTime);
+    log.error('Error calling tool', { error });
+    auditCall('error', { error: error.message });
+    return {
+      status: 500,
+      callId,
+      body: { error: 'Failed to call tool', details: error.message },
+    };
+  } finally {
+    clientEntry.calls.delete(callId);
+    touchClient(clientEntry);
+  }
+}
+
 /**
  * Start the MCP server
- * @param {string} authToken Authentication token
+ * @param {string} [authToken] Authentication token, gets every scope
+ * @param {object} [options]
+ * @param {string} [options.tokensFile] JSON file with named, scoped tokens
+ * @param {string} [options.policyFile] JSON file restricting the servers /start may run
+ * @param {string} [options.stateDir] Directory where accepted client configurations are saved and restored from
+ * @param {string} [options.configFile] Claude-Desktop-style JSON file with `mcpServers` to start at boot
+ * @param {string} [options.auditFile] JSONL file tool calls and client changes are recorded in
+ * @param {string} [options.filesDir] Directory for uploaded files and files written by tools
+ * @param {string} [options.secretsFile] Encrypted file of secrets referenced from server configs
  * @returns {Promise<{port: number}>} The port the server is running on
  */
-async function start(authToken) {
+async function start(authToken, options = {}) {
   const app = express();
 
+  // Load the policy before restoring any clients
+  const policyFile = options.policyFile || process.env.MCP_POLICY_FILE;
+  if (policyFile) {
+    policy = loadPolicy(policyFile);
+    logger.info('Loaded policy', { file: policyFile });
+  }
+
+  const auditFile = options.auditFile || process.env.MCP_AUDIT_LOG;
+  if (auditFile) {
+    auditLog = createAuditLog(auditFile);
+    logger.info('Writing audit log', { file: auditFile });
+  }
+
+  // The key signing file URLs is kept in the state directory when there is one
+  const stateDir = options.stateDir || process.env.MCP_STATE_DIR;
+  const fileStore = createFileStore(options.filesDir || process.env.MCP_FILES_DIR, {
+    secretFile: stateDir ? path.join(stateDir, 'files.key') : undefined,
+  });
+  filesDir = fileStore.dir;
+
+  // Load the client configurations to start at boot
+  if (stateDir) {
+    stateFile = getStateFile(stateDir);
+    if (fs.existsSync(stateFile)) {
+      try {
+        savedServers = readMcpServersFile(stateFile);
+      } catch (error) {
+        // A broken state file shouldn't keep the connector from starting
+        logger.error('Failed to read state file', { file: stateFile, error });
+      }
+    }
+  }
+  if (options.configFile) {
+    savedServers = {
+      ...savedServers,
+      ...readMcpServersFile(options.configFile),
+    };
+  }
+
+  // Load the secrets before any client is started
+  secretStore = createSecretStore(
+    getSecretsFile({ secretsFile: options.secretsFile, stateDir })
+  );
+
   // Find an available port
   const port = process.env.PORT || (await findAvailablePort());
   if (!port) {
@@ -146,37 +1016,122 @@ async function start(authToken) {
   app.use(cors({
     origin: '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: [
+      'Content-Type',
+      'Authorization',
+      'If-None-Match',
+      'Mcp-Protocol-Version',
+      'Mcp-Session-Id',
+    ],
+    exposedHeaders: [
+      'X-Call-Id',
+      'X-Request-Id',
+      'ETag',
+      'Retry-After',
+      'X-RateLimit-Limit',
+      'X-RateLimit-Remaining',
+      'X-RateLimit-Reset',
+    ]
   }));
-  app.use(express.json());
-  
-  // Serve static files from /tmp directory for image access
-  app.use('/files', express.static('/tmp'));
+  // Uploads are raw file content, parsed by their own route after auth, so
+  // JSON files are stored as they are
+  const parseJson = express.json();
+  app.use((req, res, next) =>
+    req.method === 'POST' && req.path === '/files' ? next() : parseJson(req, res, next)
+  );
+  app.use(httpMetricsMiddleware());
+  watchClients(clients);
   
   // Trust proxy for Render deployment
   app.set('trust proxy', true);
+
+  // JSON responses get an ETag and requests with a matching If-None-Match
+  // get a 304, so TypingMind can skip lists that haven't changed
+  app.set('etag', 'strong');
   
-  // Add request logging middleware
+  // Add request logging middleware. Every request gets an ID, taken from the
+  // X-Request-Id header when the caller sends one, that is added to its logs
   app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+    const startTime = Date.now();
+    req.id = req.get('X-Request-Id') || crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+    res.on('finish', () => {
+      req.log.info('Request', {
+        method: req.method,
+        url: redactUrl(req.originalUrl),
+        status: res.statusCode,
+        durationMs: Date.now() - startTime,
+      });
+    });
     next();
   });
   
   // Keep-alive interval to prevent idle timeouts
   setInterval(() => {
-    console.log('Keep-alive ping at', new Date().toISOString());
+    logger.debug('Keep-alive ping');
   }, 30000); // Every 30 seconds
 
-  // Add authentication to all endpoints
-  const auth = authMiddleware(authToken);
+  // Make browsers check the ETag instead of reusing cached lists blindly
+  const revalidate = (req, res, next) => {
+    res.set('Cache-Control', 'private, no-cache');
+    next();
+  };
+
+  // Start idle clients for routes that talk to the server
+  const wake = async (req, res, next) => {
+    const clientEntry = clients.get(req.params.id);
+    if (!clientEntry) {
+      return next();
+    }
+    try {
+      await getRunningClient(clientEntry);
+      next();
+    } catch (error) {
+      res.status(503).json({
+        error: 'Failed to start client',
+        details: error.message,
+        stderr: error.stderr,
+      });
+    }
+  };
+
+  // Add authentication to all endpoints, each route requires a scope
+  const tokenStore = createTokenStore(
+    authToken,
+    options.tokensFile || process.env.MCP_TOKENS_FILE
+  );
+  const auth = (scope) => authMiddleware(tokenStore, scope);
+
+  // Rate limits per token, and per client and tool, see lib/rate-limit.js
+  const rateLimiters = createRateLimiters();
+  const byToken = (req) => req.authToken.name;
+  const limitCalls = rateLimitMiddleware(rateLimiters.calls, byToken);
+  const limitAdmin = rateLimitMiddleware(rateLimiters.admin, byToken);
 
   // Root route handler
   app.get('/', (req, res) => {
-    res.status(200).send('MCP Server is running. Use /public-health for health checks.');
+    res
+      .status(200)
+      .send('MCP Server is running. Use /public-health for health checks and /admin for the dashboard.');
   });
 
+  // Admin dashboard. The page itself is public, it signs in with a token and
+  // only uses the REST API below.
+  app.use(
+    '/admin',
+    (req, res, next) => {
+      res.set({
+        'Content-Security-Policy': "default-src 'self'; frame-ancestors 'none'",
+        'X-Content-Type-Options': 'nosniff',
+      });
+      next();
+    },
+    express.static(path.join(__dirname, '..', 'admin'))
+  );
+
   // Health check endpoint
-  app.get('/ping', auth, (req, res) => {
+  app.get('/ping', auth('read'), (req, res) => {
     res.status(200).json({ status: 'ok' });
   });
 
@@ -190,67 +1145,229 @@ async function start(authToken) {
     res.status(200).send('Port is open and server is responding');
   });
 
-  // Start MCP clients using Claude Desktop config format
-  app.post('/start', auth, async (req, res) => {
+  // Stream MCP notifications (progress, logs, list changes) as Server-Sent Events
+  app.get('/events', auth('read'), eventsHandler);
+
+  // Sampling and elicitation requests from MCP servers. They are also
+  // published on /events, TypingMind answers them with the reply route.
+  app.get('/requests', auth('call'), pendingRequestsHandler(pendingRequests));
+  app.post('/requests/:requestId/reply', auth('call'), replyHandler(pendingRequests));
+
+  // Prometheus metrics
+  app.get('/metrics', auth('read'), metricsHandler);
+
+  // Upload a file so tools can use it, and download files with a token or a
+  // signed URL. Servers can write files to serve into MCP_FILES_DIR.
+  app.post(
+    '/files',
+    auth('call'),
+    express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES }),
+    uploadHandler(fileStore)
+  );
+  app.get('/files/:fileId/url', auth('read'), signHandler(fileStore));
+  app.get(
+    '/files/:fileId',
+    signedUrlMiddleware(fileStore, auth('read')),
+    downloadHandler(fileStore)
+  );
+
+  // Manage the secrets servers reference as ${secret:NAME}, values are never
+  // returned. Clients use a new value once they restart.
+  const auditSecret = (req, action) =>
+    audit(req, { action, secretName: req.params.name, status: 'success' });
+  app.get('/secrets', auth('admin'), listSecretsHandler(secretStore));
+  app.put('/secrets/:name', auth('admin'), setSecretHandler(secretStore, auditSecret));
+  app.delete('/secrets/:name', auth('admin'), deleteSecretHandler(secretStore, auditSecret));
+
+  // Query the audit log; query: clientId, from, to, limit
+  app.get('/audit', auth('admin'), auditHandler(auditLog));
+
+  // Aggregated MCP endpoint exposing every client as one Streamable HTTP
+  // MCP server, with tools and prompts namespaced as <clientId>__<name>
+  app.all(
+    '/mcp',
+    auth('call'),
+    mcpProxyHandler({
+      clients,
+      getRunningClient,
+      audit,
+      rateLimiters,
+      getList: (clientEntry, kind) =>
+        withTimeout(
+          getCachedList(clientEntry, kind),
+          LIST_TIMEOUT_MS,
+          `Timed out after ${LIST_TIMEOUT_MS}ms listing ${kind}`
+        ),
+    })
+  );
+
+  // Start MCP clients using Claude Desktop config format. With
+  // ?reconcile=true mcpServers is the full desired state and clients missing
+  // from it are removed, with ?dryRun=true only the plan is returned.
+  app.post('/start', auth('admin'), limitAdmin, async (req, res) => {
     try {
       const { mcpServers } = req.body;
+      const reconcile = req.query.reconcile === 'true';
+      const dryRun = req.query.dryRun === 'true';
+
+      if (!mcpServers || typeof mcpServers !== 'object' || Array.isArray(mcpServers)) {
+        return res.status(400).json({ error: 'mcpServers must be an object' });
+      }
+      const invalid = Object.keys(mcpServers).filter((serverId) => {
+        const config = mcpServers[serverId];
+        return !config || typeof config !== 'object' || Array.isArray(config);
+      });
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: `Config of server(s) ${invalid.join(', ')} must be an object`,
+        });
+      }
+
+      const forbidden = Object.keys(mcpServers).filter(
+        (serverId) => !canAccessClient(req.authToken, serverId)
+      );
+      if (forbidden.length > 0) {
+        return res.status(403).json({
+          error: `Token is not allowed to access client(s): ${forbidden.join(', ')}`,
+        });
+      }
+
+      // Reject the whole request if any server breaks the policy
+      const violations = Object.entries(mcpServers)
+        .map(([serverId, config]) => ({
+          id: serverId,
+          violations: checkPolicyWithSecrets(policy, config, resolveClientSecrets),
+        }))
+        .filter((result) => result.violations.length > 0);
+      if (violations.length > 0) {
+        return res.status(403).json({
+          error: 'Some MCP server configs are not allowed by the policy',
+          violations,
+        });
+      }
+
+      const plan = planStart(mcpServers, {
+        reconcile,
+        canAccess: (clientId) => canAccessClient(req.authToken, clientId),
+      });
+      if (dryRun) {
+        return res.status(200).json({ dryRun: true, plan });
+      }
 
       const results = {
         success: [],
         errors: [],
+        removed: [],
       };
 
-      // Process each server configuration
-      const startPromises = Object.entries(mcpServers).map(
-        async ([serverId, config]) => {
-          try {
-            // Check if this client already exists
-            if (clients.has(serverId)) {
-              const hasConfigChanged =
-                stringify(clients.get(serverId).config) !== stringify(config);
-              if (!hasConfigChanged) {
-                return;
-              }
-              console.log('Restarting client with new config:', serverId);
-              clients.get(serverId).client.close();
+      // Remove the clients that are no longer wanted first
+      const removePromises = plan.remove.map(async (serverId) => {
+        const startTime = Date.now();
+        try {
+          await stopClient(serverId);
+          clientLogs.delete(serverId);
+          delete savedServers[serverId];
+          results.removed.push(serverId);
+          audit(req, {
+            action: 'delete',
+            clientId: serverId,
+            status: 'success',
+            durationMs: Date.now() - startTime,
+          });
+        } catch (error) {
+          req.log.error('Failed to remove client', { clientId: serverId, error });
+          audit(req, {
+            action: 'delete',
+            clientId: serverId,
+            status: 'error',
+            error: error.message,
+            durationMs: Date.now() - startTime,
+          });
+          results.errors.push({
+            id: serverId,
+            error: `Failed to remove: ${error.message}`,
+          });
+        }
+      });
+      await Promise.all(removePromises);
+
+      // Process each server configuration that needs a change
+      const changes = [...plan.add, ...plan.restart, ...plan.updateRoots];
+      const startPromises = changes.map(async (serverId) => {
+        const config = mcpServers[serverId];
+        const startTime = Date.now();
+        try {
+          let result;
+          if (plan.updateRoots.includes(serverId)) {
+            result = await updateRoots(clients.get(serverId), config);
+          } else {
+            if (plan.restart.includes(serverId)) {
+              req.log.info(
+                clients.get(serverId).state === CLIENT_STATES.FAILED
+                  ? 'Restarting failed client'
+                  : 'Restarting client with new config',
+                { clientId: serverId }
+              );
+              // Wait for the old process to exit so both never run at once
+              await stopClient(serverId);
             }
-
-            const result = await startClient(serverId, config);
-            results.success.push(result);
-          } catch (error) {
-            console.error(`Failed to initialize client ${serverId}:`, error);
-            results.errors.push({
-              id: serverId,
-              error: `Failed to initialize: ${error.message}`,
-            });
+            result = await startClient(serverId, config);
           }
+
+          savedServers[serverId] = config;
+          results.success.push(result);
+          audit(req, {
+            action: 'start',
+            clientId: serverId,
+            config,
+            status: 'success',
+            durationMs: Date.now() - startTime,
+          });
+        } catch (error) {
+          req.log.error('Failed to initialize client', { clientId: serverId, error });
+          audit(req, {
+            action: 'start',
+            clientId: serverId,
+            config,
+            status: 'error',
+            error: error.message,
+            durationMs: Date.now() - startTime,
+          });
+          results.errors.push({
+            id: serverId,
+            error: `Failed to initialize: ${error.message}`,
+            stderr: error.stderr,
+          });
         }
-      );
+      });
 
       // Wait for all clients to be processed
       await Promise.all(startPromises);
+      saveServers();
 
       // Return appropriate response
       if (results.errors.length === 0) {
         return res.status(201).json({
           message: 'All MCP clients started successfully',
           clients: results.success,
+          ...(reconcile ? { removed: results.removed } : {}),
         });
       } else {
         return res.status(400).json({
           message: 'Some MCP clients failed to start',
           success: results.success,
           errors: results.errors,
+          ...(reconcile ? { removed: results.removed } : {}),
         });
       }
     } catch (error) {
-      console.error('Error starting clients:', error);
+      req.log.error('Error starting clients', { error });
       return res.status(500).json({ error: 'Internal server error' });
     }
   });
 
   // Restart a specific client
-  app.post('/restart/:id', auth, async (req, res) => {
+  app.post('/restart/:id', auth('admin'), limitAdmin, async (req, res) => {
     const { id } = req.params;
     const clientEntry = clients.get(id);
 
@@ -258,63 +1375,95 @@ async function start(authToken) {
       return res.status(404).json({ error: 'Client not found' });
     }
 
+    const startTime = Date.now();
     try {
       // Get the original configuration
       const config = clientEntry.config || {
         command: clientEntry.command,
         args: clientEntry.args,
         env: clientEntry.env,
+        url: clientEntry.url,
       };
 
       // Close the existing client
-      await clientEntry.client.close();
-      clients.delete(id);
+      await stopClient(id);
 
       // Start a new client with the same configuration
+      observeClientRestart(id, 'manual');
       const result = await startClient(id, config);
+      audit(req, {
+        action: 'restart',
+        clientId: id,
+        status: 'success',
+        durationMs: Date.now() - startTime,
+      });
 
       return res.status(200).json({
         message: `Client ${id} restarted successfully`,
         client: result,
       });
     } catch (error) {
-      console.error(`Error restarting client ${id}:`, error);
+      req.log.error('Error restarting client', { clientId: id, error });
+      audit(req, {
+        action: 'restart',
+        clientId: id,
+        status: 'error',
+        error: error.message,
+        durationMs: Date.now() - startTime,
+      });
       return res.status(500).json({
         error: 'Failed to restart client',
         details: error.message,
+        stderr: error.stderr,
       });
     }
   });
 
-  app.get('/clients', auth, async (req, res) => {
+  app.get('/clients', auth('read'), revalidate, async (req, res) => {
     try {
       // Create an array of promises that will fetch tools for each client
-      const clientDetailsPromises = Array.from(clients.values()).map(
+      const visibleClients = Array.from(clients.values()).filter(
+        (clientEntry) => canAccessClient(req.authToken, clientEntry.id)
+      );
+      const clientDetailsPromises = visibleClients.map(
         async (clientEntry) => {
-          const { id, command, args, createdAt } = clientEntry;
+          const { id } = clientEntry;
+
+          // A crashed client can't answer, so don't wait for it. Idle
+          // clients report the tools of their last run without starting.
+          const hasCachedTools =
+            clientEntry.state === CLIENT_STATES.IDLE && clientEntry.lists.tools;
+          if (clientEntry.state !== CLIENT_STATES.RUNNING && !hasCachedTools) {
+            return {
+              ...describeClient(clientEntry),
+              tools: [],
+              toolError: `Client is ${clientEntry.state}`,
+            };
+          }
 
           try {
-            // Get tools for this client
-            const result = await clientEntry.client.listTools();
-            const tools = result.tools || [];
+            // Get the enabled tools for this client, without letting a
+            // hung server hold up the whole list
+            const tools = applyToolRules(
+              clientEntry.config,
+              await withTimeout(
+                getCachedList(clientEntry, 'tools'),
+                LIST_TIMEOUT_MS,
+                `Timed out after ${LIST_TIMEOUT_MS}ms listing tools`
+              )
+            );
 
             // Extract just the tool names into an array
             const toolNames = tools.map((tool) => tool.name);
 
             return {
-              id,
-              command,
-              args,
-              createdAt,
+              ...describeClient(clientEntry),
               tools: toolNames,
             };
           } catch (error) {
-            console.error(`Error getting tools for client ${id}:`, error);
+            req.log.error('Error getting tools', { clientId: id, error });
             return {
-              id,
-              command,
-              args,
-              createdAt,
+              ...describeClient(clientEntry),
               tools: [],
               toolError: error.message,
             };
@@ -327,7 +1476,7 @@ async function start(authToken) {
 
       res.status(200).json(clientsList);
     } catch (error) {
-      console.error('Error fetching clients list:', error);
+      req.log.error('Error fetching clients list', { error });
       res.status(500).json({
         error: 'Failed to retrieve clients list',
         details: error.message,
@@ -335,7 +1484,7 @@ async function start(authToken) {
     }
   });
 
-  app.get('/clients/:id', auth, (req, res) => {
+  app.get('/clients/:id', auth('read'), revalidate, (req, res) => {
     const clientId = req.params.id;
     const clientEntry = clients.get(clientId);
 
@@ -343,13 +1492,11 @@ async function start(authToken) {
       return res.status(404).json({ error: 'Client not found' });
     }
 
-    const { id, command, args, createdAt } = clientEntry;
-
-    res.status(200).json({ id, command, args, createdAt });
+    res.status(200).json(describeClient(clientEntry));
   });
 
   // Get tools for a specific client
-  app.get('/clients/:id/tools', auth, async (req, res) => {
+  app.get('/clients/:id/tools', auth('read'), revalidate, async (req, res) => {
     const { id } = req.params;
     const clientEntry = clients.get(id);
 
@@ -358,10 +1505,10 @@ async function start(authToken) {
     }
 
     try {
-      const result = await clientEntry.client.listTools();
-      res.status(200).json(result.tools);
+      const tools = await getCachedList(clientEntry, 'tools');
+      res.status(200).json(applyToolRules(clientEntry.config, tools));
     } catch (error) {
-      console.error(`Error getting tools for client ${id}:`, error);
+      req.log.error('Error getting tools', { clientId: id, error });
       res.status(500).json({
         error: 'Failed to get tools',
         details: error.message,
@@ -370,37 +1517,321 @@ async function start(authToken) {
   });
 
   // Call a tool for a specific client
-  app.post('/clients/:id/call_tools', auth, async (req, res) => {
+  app.post(
+    '/clients/:id/call_tools',
+    auth('call'),
+    limitCalls,
+    rateLimitMiddleware(
+      rateLimiters.toolCalls,
+      (req) => `${req.params.id}/${req.body.name}`
+    ),
+    async (req, res) => {
+      const { status, body, callId } = await callClientTool(
+        req,
+        req.params.id,
+        req.body
+      );
+      if (callId) {
+        res.set('X-Call-Id', callId);
+      }
+      res.status(status).json(body);
+    }
+  );
+
+  // Call several tools concurrently. One failing call doesn't fail the
+  // batch: every call gets its own status and result or error, in order.
+  app.post(
+    '/call_tools/batch',
+    auth('call'),
+    // Every call in the batch counts against the token's limit
+    rateLimitMiddleware(rateLimiters.calls, byToken, (req) =>
+      Array.isArray(req.body.calls) ? req.body.calls.length : 1
+    ),
+    async (req, res) => {
+      const { calls, concurrency } = req.body;
+
+      if (!Array.isArray(calls) || calls.length === 0) {
+        return res.status(400).json({ error: 'calls must be a non-empty array' });
+      }
+      if (calls.length > MAX_BATCH_CALLS) {
+        return res.status(400).json({
+          error: `A batch can contain at most ${MAX_BATCH_CALLS} calls`,
+        });
+      }
+      if (
+        concurrency !== undefined &&
+        (!Number.isInteger(concurrency) || concurrency <= 0)
+      ) {
+        return res
+          .status(400)
+          .json({ error: 'concurrency must be a positive integer' });
+      }
+
+      const runCall = async (call) => {
+        if (!call || typeof call.clientId !== 'string') {
+          return { status: 400, body: { error: 'clientId is required' } };
+        }
+        // The auth middleware only checks the client of single-client routes
+        if (!canAccessClient(req.authToken, call.clientId)) {
+          return {
+            status: 403,
+            body: {
+              error: `Token is not allowed to access client ${call.clientId}`,
+            },
+          };
+        }
+        if (rateLimiters.toolCalls) {
+          const limit = rateLimiters.toolCalls.hit(`${call.clientId}/${call.name}`);
+          setRateLimitHeaders(res, limit);
+          if (!limit.allowed) {
+            return {
+              status: 429,
+              body: {
+                error: 'Rate limit exceeded',
+                retryAfter: Math.ceil(limit.resetMs / 1000),
+              },
+            };
+          }
+        }
+        return callClientTool(req, call.clientId, call);
+      };
+
+      // Run the calls with at most `concurrency` in flight
+      const results = new Array(calls.length);
+      let next = 0;
+      const worker = async () => {
+        while (next < calls.length) {
+          const index = next++;
+          const call = calls[index];
+          const { status, body, callId } = await runCall(call);
+          results[index] = {
+            clientId: call && call.clientId,
+            name: call && call.name,
+            callId,
+            status,
+            ...(status === 200 ? { result: body } : body),
+          };
+        }
+      };
+      await Promise.all(
+        Array.from({ length: Math.min(concurrency || calls.length, calls.length) }, worker)
+      );
+
+      res.status(200).json({ results });
+    }
+  );
+
+  // Cancel an in-flight tool call
+  app.post('/clients/:id/calls/:callId/cancel', auth('call'), (req, res) => {
+    const { id, callId } = req.params;
+    const { reason } = req.body || {};
+    const clientEntry = clients.get(id);
+
+    if (!clientEntry) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const call = clientEntry.calls.get(callId);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    // Aborting makes the SDK send notifications/cancelled to the server
+    // and reject the pending request
+    call.controller.abort(new Error(reason || 'Cancelled by caller'));
+
+    res.status(200).json({ message: `Call ${callId} cancelled` });
+  });
+
+  // List resources for a specific client
+  app.get('/clients/:id/resources', auth('read'), revalidate, async (req, res) => {
     const { id } = req.params;
-    const { name, arguments: toolArgs } = req.body;
+    const { cursor } = req.query;
+    const clientEntry = clients.get(id);
 
-    if (!name) {
-      return res.status(400).json({ error: 'Tool name is required' });
+    if (!clientEntry) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    try {
+      // The first page comes with everything from the cache, so callers
+      // only get a cursor back when they asked for paging themselves
+      if (!cursor) {
+        const resources = await getCachedList(clientEntry, 'resources');
+        return res.status(200).json({ resources });
+      }
+
+      const runningEntry = await getRunningClient(clientEntry);
+      const result = await runningEntry.client.listResources(
+        { cursor },
+        { timeout: runningEntry.timeoutMs }
+      );
+      res.status(200).json(result);
+    } catch (error) {
+      req.log.error('Error getting resources', { clientId: id, error });
+      res.status(500).json({
+        error: 'Failed to get resources',
+        details: error.message,
+      });
+    }
+  });
+
+  // List resource templates for a specific client
+  app.get('/clients/:id/resources/templates', auth('read'), revalidate, wake, async (req, res) => {
+    const { id } = req.params;
+    const { cursor } = req.query;
+    const clientEntry = clients.get(id);
+
+    if (!clientEntry) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    if (!clientEntry.client.getServerCapabilities()?.resources) {
+      return res.status(200).json({ resourceTemplates: [] });
+    }
+
+    try {
+      const result = await clientEntry.client.listResourceTemplates(
+        cursor ? { cursor } : undefined,
+        { timeout: clientEntry.timeoutMs }
+      );
+      res.status(200).json(result);
+    } catch (error) {
+      req.log.error('Error getting resource templates', { clientId: id, error });
+      res.status(500).json({
+        error: 'Failed to get resource templates',
+        details: error.message,
+      });
+    }
+  });
+
+  // Read a resource from a specific client
+  app.get('/clients/:id/resources/read', auth('read'), wake, async (req, res) => {
+    const { id } = req.params;
+    const { uri } = req.query;
+
+    if (!uri) {
+      return res.status(400).json({ error: 'Resource uri is required' });
+    }
+
+    const clientEntry = clients.get(id);
+    if (!clientEntry) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    try {
+      const result = await clientEntry.client.readResource(
+        { uri },
+        { timeout: clientEntry.timeoutMs }
+      );
+      res.status(200).json(result);
+    } catch (error) {
+      req.log.error('Error reading resource', { clientId: id, error });
+      res.status(500).json({
+        error: 'Failed to read resource',
+        details: error.message,
+      });
     }
+  });
 
+  // List prompts for a specific client
+  app.get('/clients/:id/prompts', auth('read'), revalidate, async (req, res) => {
+    const { id } = req.params;
+    const { cursor } = req.query;
     const clientEntry = clients.get(id);
+
     if (!clientEntry) {
       return res.status(404).json({ error: 'Client not found' });
     }
 
     try {
-      const result = await clientEntry.client.callTool({
-        name,
-        arguments: toolArgs || {},
+      if (!cursor) {
+        const prompts = await getCachedList(clientEntry, 'prompts');
+        return res.status(200).json({ prompts });
+      }
+
+      const runningEntry = await getRunningClient(clientEntry);
+      const result = await runningEntry.client.listPrompts(
+        { cursor },
+        { timeout: runningEntry.timeoutMs }
+      );
+      res.status(200).json(result);
+    } catch (error) {
+      req.log.error('Error getting prompts', { clientId: id, error });
+      res.status(500).json({
+        error: 'Failed to get prompts',
+        details: error.message,
       });
+    }
+  });
+
+  // Get a prompt from a specific client
+  app.post('/clients/:id/prompts/get', auth('read'), wake, async (req, res) => {
+    const { id } = req.params;
+    const { name, arguments: promptArgs } = req.body;
 
+    if (!name) {
+      return res.status(400).json({ error: 'Prompt name is required' });
+    }
+
+    const clientEntry = clients.get(id);
+    if (!clientEntry) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    try {
+      const result = await clientEntry.client.getPrompt(
+        {
+          name,
+          arguments: promptArgs || {},
+        },
+        { timeout: clientEntry.timeoutMs }
+      );
       res.status(200).json(result);
     } catch (error) {
-      console.error(`Error calling tool for client ${id}:`, error);
+      req.log.error('Error getting prompt', { clientId: id, error });
       res.status(500).json({
-        error: 'Failed to call tool',
+        error: 'Failed to get prompt',
         details: error.message,
       });
     }
   });
 
+  // Get captured stderr output for a specific client
+  app.get('/clients/:id/logs', auth('read'), (req, res) => {
+    const { id } = req.params;
+    const logs = clientLogs.get(id);
+
+    if (!clients.has(id) && !logs) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    let tail;
+    if (req.query.tail !== undefined) {
+      tail = parseInt(req.query.tail, 10);
+      if (Number.isNaN(tail) || tail < 0) {
+        return res
+          .status(400)
+          .json({ error: 'tail must be a non-negative integer' });
+      }
+    }
+
+    let since;
+    if (req.query.since !== undefined) {
+      since = new Date(req.query.since);
+      if (Number.isNaN(since.getTime())) {
+        return res.status(400).json({ error: 'since must be a valid date' });
+      }
+    }
+
+    res.status(200).json({
+      id,
+      lines: logs ? logs.read({ tail, since }) : [],
+    });
+  });
+
   // Clean up resources for a client
-  app.delete('/clients/:id', auth, async (req, res) => {
+  app.delete('/clients/:id', auth('admin'), async (req, res) => {
     const { id } = req.params;
     const clientEntry = clients.get(id);
 
@@ -408,14 +1839,30 @@ async function start(authToken) {
       return res.status(404).json({ error: 'Client not found' });
     }
 
+    const startTime = Date.now();
     try {
       // Close the client properly
-      await clientEntry.client.close();
-      clients.delete(id);
+      await stopClient(id);
+      clientLogs.delete(id);
+      delete savedServers[id];
+      saveServers();
+      audit(req, {
+        action: 'delete',
+        clientId: id,
+        status: 'success',
+        durationMs: Date.now() - startTime,
+      });
 
       res.status(200).json({ message: 'Client deleted successfully' });
     } catch (error) {
-      console.error(`Error deleting client ${id}:`, error);
+      req.log.error('Error deleting client', { clientId: id, error });
+      audit(req, {
+        action: 'delete',
+        clientId: id,
+        status: 'error',
+        error: error.message,
+        durationMs: Date.now() - startTime,
+      });
       res.status(500).json({
         error: 'Failed to delete client',
         details: error.message,
@@ -425,13 +1872,17 @@ async function start(authToken) {
 
   // Global error handler
   app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
+    (req.log || logger).error('Unhandled error', { error: err });
     res.status(500).json({
       error: 'Internal server error',
       details: err.message,
     });
   });
 
+  // Start saved clients in the background, some take minutes to install
+  saveServers();
+  restoreClients(savedServers);
+
   // Start the server (HTTP or HTTPS)
   return new Promise((resolve, reject) => {
     const host = '0.0.0.0';
@@ -442,13 +1893,16 @@ async function start(authToken) {
 
     let server;
 
-    console.log(`Attempting to bind to ${host}:${port}...`);
-    console.log(`Environment: PORT=${process.env.PORT}, RENDER=${process.env.RENDER || 'not set'}`);
+    logger.info('Attempting to bind', {
+      host,
+      port,
+      envPort: process.env.PORT,
+      render: process.env.RENDER || 'not set',
+    });
 
     // Function to handle successful server start
     const handleServerStart = (protocol) => {
-      console.log(`Server successfully bound to ${host}:${port} (${protocol})`);
-      console.log(`Server is ready to accept connections`);
+      logger.info('Server is ready to accept connections', { host, port, protocol });
       
       // Add a small delay to ensure the port is fully registered
       setTimeout(() => {
@@ -469,13 +1923,13 @@ async function start(authToken) {
         
         // Handle server errors
         server.on('error', (err) => {
-          console.error(`HTTPS server error: ${err.message}`);
+          logger.error('HTTPS server error', { error: err });
           reject(err);
         });
         
         server.listen(port, host, () => handleServerStart('HTTPS'));
       } catch (error) {
-        console.error('Error setting up HTTPS server:', error);
+        logger.error('Error setting up HTTPS server', { error });
         reject(error);
       }
     } else {
@@ -484,7 +1938,7 @@ async function start(authToken) {
       
       // Handle server errors
       server.on('error', (err) => {
-        console.error(`HTTP server error: ${err.message}`);
+        logger.error('HTTP server error', { error: err });
         reject(err);
       });
       
@@ -493,7 +1947,7 @@ async function start(authToken) {
 
     // Handle graceful shutdown
     process.on('SIGINT', () => {
-      console.log('\nShutting down MCP server...');
+      logger.info('Shutting down MCP server...');
       server.close(() => {
         process.exit(0);
       });
@@ -503,15 +1957,15 @@ async function start(authToken) {
 
 // Graceful shutdown handling
 process.on('SIGINT', async () => {
-  console.log('Shutting down server...');
+  logger.info('Shutting down server...');
 
   // Close all clients
-  for (const [id, clientEntry] of clients.entries()) {
+  for (const id of Array.from(clients.keys())) {
     try {
-      await clientEntry.client.close();
-      console.log(`Closed client ${id}`);
+      await stopClient(id);
+      logger.info('Closed client', { clientId: id });
     } catch (error) {
-      console.error(`Error closing client ${id}:`, error);
+      logger.error('Error closing client', { clientId: id, error });
     }
   }
 
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// Name of the file written inside the state directory
+const STATE_FILE_NAME = 'mcp-servers.json';
+
+/**
+ * Get the path of the state file inside a state directory
+ * @param {string} stateDir The state directory
+ * @returns {string} Path to the state file
+ */
+function getStateFile(stateDir) {
+  return path.join(stateDir, STATE_FILE_NAME);
+}
+
+/**
+ * Read a Claude-Desktop-style config file
+ * @param {string} file Path to a JSON file with an `mcpServers` object
+ * @returns {object} The mcpServers object, keyed by server ID
+ */
+function readMcpServersFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read config file ${file}: ${error.message}`);
+  }
+
+  const { mcpServers } = data || {};
+  if (!mcpServers || typeof mcpServers !== 'object' || Array.isArray(mcpServers)) {
+    throw new Error(`Config file ${file} must contain an "mcpServers" object`);
+  }
+  return mcpServers;
+}
+
+/**
+ * Write a file readable by the owner only, creating its directory
+ * @param {string} file Path to the file
+ * @param {string} data The content
+ */
+function writeFileAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+
+  // Write to a temporary file first so a crash never leaves a truncated file
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, data, { mode: 0o600 });
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Write the mcpServers object to a file, readable by the owner only
+ * since server env and headers usually hold API keys
+ * @param {string} file Path to the file
+ * @param {object} mcpServers The mcpServers object, keyed by server ID
+ */
+function writeMcpServersFile(file, mcpServers) {
+  writeFileAtomic(file, JSON.stringify({ mcpServers }, null, 2));
+}
+
+module.exports = {
+  getStateFile,
+  readMcpServersFile,
+  writeMcpServersFile,
+  writeFileAtomic,
+};
@@ -0,0 +1,133 @@
+const { logger } = require('./logger');
+const { observeClientRestart } = require('./metrics');
+
+// Client states reported by the REST API
+const CLIENT_STATES = {
+  RUNNING: 'running',
+  CRASHED: 'crashed',
+  RESTARTING: 'restarting',
+  FAILED: 'failed',
+  // Registered but not running: lazy and not used yet, or stopped when idle
+  IDLE: 'idle',
+};
+
+// Default restart policy, overridable per server with the `restart` config field
+const DEFAULT_RESTART_POLICY = {
+  maxRestarts: parseInt(process.env.MCP_MAX_RESTARTS || '5', 10),
+  initialDelayMs: 1000,
+  maxDelayMs: 60000,
+};
+
+// A client that stayed up this long is considered stable, so a crash after
+// that starts a new backoff sequence instead of continuing the old one
+const STABLE_UPTIME_MS = 60000;
+
+/**
+ * Resolve the restart policy for a client configuration
+ * @param {object} config Client configuration from /start
+ * @returns {{maxRestarts: number, initialDelayMs: number, maxDelayMs: number}}
+ */
+function getRestartPolicy(config) {
+  if (config.restart === false) {
+    return { ...DEFAULT_RESTART_POLICY, maxRestarts: 0 };
+  }
+  return { ...DEFAULT_RESTART_POLICY, ...(config.restart || {}) };
+}
+
+/**
+ * Compute the exponential backoff delay before a restart attempt
+ * @param {number} attempt Zero-based attempt number
+ * @param {object} policy Restart policy
+ * @returns {number} Delay in milliseconds
+ */
+function getRestartDelay(attempt, policy) {
+  return Math.min(policy.initialDelayMs * 2 ** attempt, policy.maxDelayMs);
+}
+
+/**
+ * Watch a client for unexpected disconnects and restart it with backoff.
+ * While waiting to restart, the entry has a `cancelRestart` function to call
+ * after setting `closing`.
+ * @param {object} clientEntry Entry from the clients Map
+ * @param {object} options
+ * @param {Function} options.isCurrent Returns true while the entry is still the active one for its ID
+ * @param {Function} options.restart Starts a replacement client for the entry, returns a Promise
+ */
+function superviseClient(clientEntry, { isCurrent, restart }) {
+  const { id, client } = clientEntry;
+
+  client.onerror = (error) => {
+    clientEntry.lastError = error.message;
+  };
+
+  client.onclose = async () => {
+    // Closed on purpose, or already replaced by a newer client
+    if (clientEntry.closing || !isCurrent(clientEntry)) {
+      return;
+    }
+
+    const uptime = Date.now() - clientEntry.createdAt.getTime();
+    if (uptime >= STABLE_UPTIME_MS) {
+      clientEntry.consecutiveRestarts = 0;
+    }
+
+    clientEntry.state = CLIENT_STATES.CRASHED;
+    clientEntry.lastExitReason = clientEntry.lastError
+      ? `Connection closed: ${clientEntry.lastError}`
+      : 'Connection closed unexpectedly';
+    logger.error('Client crashed', {
+      clientId: id,
+      uptimeMs: uptime,
+      reason: clientEntry.lastExitReason,
+    });
+
+    const policy = getRestartPolicy(clientEntry.config);
+
+    while (clientEntry.consecutiveRestarts < policy.maxRestarts) {
+      const delay = getRestartDelay(clientEntry.consecutiveRestarts, policy);
+      clientEntry.state = CLIENT_STATES.RESTARTING;
+      logger.info('Restarting client', {
+        clientId: id,
+        delayMs: delay,
+        attempt: clientEntry.consecutiveRestarts + 1,
+        maxRestarts: policy.maxRestarts,
+      });
+
+      // Closing the entry on purpose ends the wait early with cancelRestart
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, delay);
+        clientEntry.cancelRestart = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      clientEntry.cancelRestart = null;
+      if (clientEntry.closing || !isCurrent(clientEntry)) {
+        return;
+      }
+
+      clientEntry.consecutiveRestarts += 1;
+      clientEntry.restartCount += 1;
+      observeClientRestart(id, 'crash');
+
+      try {
+        await restart(clientEntry);
+        return;
+      } catch (error) {
+        clientEntry.lastExitReason = `Restart failed: ${error.message}`;
+        logger.error('Restart failed', { clientId: id, error });
+      }
+    }
+
+    clientEntry.state = CLIENT_STATES.FAILED;
+    logger.error('Client failed, giving up on restarts', {
+      clientId: id,
+      attempts: clientEntry.consecutiveRestarts,
+    });
+  };
+}
+
+module.exports = {
+  CLIENT_STATES,
+  superviseClient,
+};
@@ -0,0 +1,111 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { logger } = require('./logger');
+const { matchesPattern } = require('./patterns');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// Compiled validators by input schema object
+const validators = new WeakMap();
+
+/**
+ * Check whether a tool name matches any of the patterns
+ * @param {string} name Tool name
+ * @param {string[]} [patterns] Patterns to match against
+ * @returns {boolean}
+ */
+function matchesAny(name, patterns) {
+  return (patterns || []).some((pattern) => matchesPattern(name, pattern));
+}
+
+/**
+ * Validate the `tools` field of a client configuration
+ * @param {object} config Client configuration from /start
+ */
+function validateToolRules(config) {
+  const { tools } = config;
+  if (tools === undefined) {
+    return;
+  }
+  if (!tools || typeof tools !== 'object' || Array.isArray(tools)) {
+    throw new Error('tools must be an object');
+  }
+  for (const key of ['allow', 'deny', 'requireConfirmation']) {
+    if (tools[key] !== undefined && !Array.isArray(tools[key])) {
+      throw new Error(`tools.${key} must be an array of tool names`);
+    }
+  }
+}
+
+/**
+ * Check whether a tool is enabled for a client. A tool is enabled when it
+ * matches `tools.allow` (or there is no allow list) and doesn't match `tools.deny`.
+ * @param {object} config Client configuration from /start
+ * @param {string} name Tool name
+ * @returns {boolean}
+ */
+function isToolEnabled(config, name) {
+  const { tools = {} } = config;
+  if (tools.allow && !matchesAny(name, tools.allow)) {
+    return false;
+  }
+  return !matchesAny(name, tools.deny);
+}
+
+/**
+ * Remove disabled tools and flag the ones that require confirmation
+ * @param {object} config Client configuration from /start
+ * @param {object[]} tools Tools returned by listTools
+ * @returns {object[]} The enabled tools
+ */
+function applyToolRules(config, tools) {
+  const { tools: rules = {} } = config;
+  return tools
+    .filter((tool) => isToolEnabled(config, tool.name))
+    .map((tool) =>
+      matchesAny(tool.name, rules.requireConfirmation)
+        ? { ...tool, requiresConfirmation: true }
+        : tool,
+    );
+}
+
+/**
+ * Validate tool call arguments against the tool's input schema
+ * @param {object} tool Tool returned by listTools
+ * @param {object} args Tool call arguments
+ * @returns {string[]} Validation errors, empty when the arguments are valid
+ */
+function validateToolArguments(tool, args) {
+  if (!tool.inputSchema) {
+    return [];
+  }
+
+  let validate = validators.get(tool.inputSchema);
+  if (!validate) {
+    // Servers declare various drafts; the keywords tools use are the same,
+    // so validate everything with the default draft
+    const { $schema, ...schema } = tool.inputSchema;
+    try {
+      validate = ajv.compile(schema);
+    } catch (error) {
+      logger.warn('Invalid input schema', { tool: tool.name, error });
+      validate = () => true;
+    }
+    validators.set(tool.inputSchema, validate);
+  }
+
+  if (validate(args)) {
+    return [];
+  }
+  return validate.errors.map(
+    (error) => `${error.instancePath || '/'} ${error.message}`,
+  );
+}
+
+module.exports = {
+  validateToolRules,
+  isToolEnabled,
+  applyToolRules,
+  validateToolArguments,
+};
@@ -0,0 +1,96 @@
+const {
+  StdioClientTransport,
+  getDefaultEnvironment,
+} = require('@modelcontextprotocol/sdk/client/stdio.js');
+const {
+  StreamableHTTPClientTransport,
+} = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
+
+// Transports that can be requested with the `transport` config field
+const REMOTE_TRANSPORTS = ['streamable-http', 'sse'];
+
+/**
+ * Work out which transports to try, in order, for a client configuration
+ * @param {object} config Client configuration from /start
+ * @returns {string[]} Transport types to attempt
+ */
+function getTransportCandidates(config) {
+  const { command, url, transport } = config;
+
+  if (command && url) {
+    throw new Error('Only one of command or url can be specified');
+  }
+
+  if (command) {
+    if (transport && transport !== 'stdio') {
+      throw new Error(`Transport ${transport} cannot be used with a command`);
+    }
+    return ['stdio'];
+  }
+
+  if (!url) {
+    throw new Error('Command or url is required');
+  }
+
+  try {
+    new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid url: ${url}`);
+  }
+
+  if (transport) {
+    if (!REMOTE_TRANSPORTS.includes(transport)) {
+      throw new Error(
+        `Unsupported transport: ${transport}. Use one of: ${REMOTE_TRANSPORTS.join(', ')}`,
+      );
+    }
+    return [transport];
+  }
+
+  // Prefer Streamable HTTP and fall back to the older SSE transport
+  return REMOTE_TRANSPORTS;
+}
+
+/**
+ * Create an MCP client transport
+ * @param {string} type Transport type (stdio, streamable-http or sse)
+ * @param {object} config Client configuration from /start
+ * @returns {object} The transport instance
+ */
+function createTransport(type, config) {
+  if (type === 'stdio') {
+    const { command, args = [], env = {}, cwd } = config;
+    return new StdioClientTransport({
+      command,
+      args,
+      cwd,
+      stderr: 'pipe', // captured per client, see lib/log-buffer.js
+      env:
+        Object.values(env).length > 0
+          ? {
+              // see https://github.com/modelcontextprotocol/typescript-sdk/issues/216
+              ...getDefaultEnvironment(),
+              ...env,
+            }
+          : undefined, // cannot be {}, it will cause error
+    });
+  }
+
+  const url = new URL(config.url);
+  const opts = { requestInit: { headers: config.headers || {} } };
+
+  if (type === 'streamable-http') {
+    return new StreamableHTTPClientTransport(url, opts);
+  }
+  if (type === 'sse') {
+    return new SSEClientTransport(url, opts);
+  }
+
+  throw new Error(`Unsupported transport: ${type}`);
+}
+
+module.exports = {
+  getTransportCandidates,
+  createTransport,
+};